@@ -1,7 +1,13 @@
 // ============================================
 // Bun Cluster Mode - Multi-Core Support
 // ============================================
+// Restarts, backoff, rolling reload (SIGHUP) and graceful drain (SIGTERM)
+// are handled by the shared supervisor (../shared/supervisor.js), identical
+// to nodejs/cluster.js. Workers are separate processes sharing the port via
+// SO_REUSEPORT (Bun.serve reusePort).
 import { cpus } from 'os';
+import { createStoreHost, usesPrimaryStore } from '../shared/todo-store.js';
+import { createSupervisor } from '../shared/supervisor.js';
 
 // Configuration
 const numCPUs = cpus().length;
@@ -13,8 +19,6 @@ const IS_WORKER = process.env.BUN_WORKER === 'true';
 
 if (!IS_WORKER) {
   // Primary process - spawn workers
-  const CLUSTER_START_TIME = Date.now();
-
   console.log('');
   console.log('============================================');
   console.log('[CLUSTER] Bun Multi-Core Mode');
@@ -25,65 +29,48 @@ if (!IS_WORKER) {
   console.log('============================================');
   console.log('');
 
-  const workers = [];
-
-  for (let i = 0; i < WORKERS; i++) {
-    const worker = Bun.spawn(['bun', 'run', './server.js'], {
-      cwd: import.meta.dir,
-      env: {
-        ...process.env,
-        BUN_WORKER: 'true',
-        WORKER_ID: String(i),
-        WORKERS_TOTAL: String(WORKERS)
-      },
-      stdout: 'inherit',
-      stderr: 'inherit'
-    });
-
-    workers.push({ proc: worker, id: i });
-    console.log(`[CLUSTER] Spawned worker ${i} (PID: ${worker.pid})`);
-  }
+  let storeHost = null;
 
-  const duration = Date.now() - CLUSTER_START_TIME;
-  console.log('');
-  console.log('============================================');
-  console.log(`[CLUSTER] All ${WORKERS} workers spawned in ${duration}ms`);
-  console.log('============================================');
-  console.log('');
-
-  // Monitor workers and restart if they die
-  const checkWorkers = async () => {
-    for (let i = 0; i < workers.length; i++) {
-      const { proc, id } = workers[i];
-
-      // Check if process exited
-      if (proc.exitCode !== null) {
-        console.log(`[CLUSTER] Worker ${id} (PID: ${proc.pid}) died with code ${proc.exitCode}`);
-        console.log('[CLUSTER] Restarting worker...');
+  // IPC handler for worker messages (process.send in the worker)
+  const onWorkerMessage = (message, subprocess) => {
+    if (supervisor.handleMessage(message)) return;
+    storeHost?.handle(message, (reply) => subprocess.send(reply));
+  };
 
-        const newWorker = Bun.spawn(['bun', 'run', './server.js'], {
-          cwd: import.meta.dir,
-          env: {
-            ...process.env,
-            BUN_WORKER: 'true',
-            WORKER_ID: String(id),
-            WORKERS_TOTAL: String(WORKERS)
-          },
-          stdout: 'inherit',
-          stderr: 'inherit'
-        });
+  const supervisor = createSupervisor({
+    runtime: 'bun',
+    workersTotal: WORKERS,
+    spawn(workerId, workersTotal) {
+      const proc = Bun.spawn(['bun', 'run', './server.js'], {
+        cwd: import.meta.dir,
+        env: {
+          ...process.env,
+          BUN_WORKER: 'true',
+          WORKER_ID: String(workerId),
+          WORKERS_TOTAL: String(workersTotal)
+        },
+        stdout: 'inherit',
+        stderr: 'inherit',
+        ipc: onWorkerMessage
+      });
 
-        workers[i] = { proc: newWorker, id };
-        console.log(`[CLUSTER] Respawned worker ${id} (PID: ${newWorker.pid})`);
-      }
+      return {
+        pid: proc.pid,
+        send: (message) => proc.send(message),
+        kill: (signal) => proc.kill(signal),
+        exited: proc.exited.then(code => ({ code, signal: proc.signalCode }))
+      };
     }
-  };
+  });
 
-  // Check workers every 5 seconds
-  setInterval(checkWorkers, 5000);
+  // Shared todo state: workers forward store operations to the primary
+  if (usesPrimaryStore()) {
+    storeHost = createStoreHost(supervisor.broadcast);
+    console.log('[CLUSTER] Todo state: primary-owned store (IPC)');
+  }
 
-  // Keep primary process alive
-  setInterval(() => {}, 1000);
+  supervisor.listen();
+  supervisor.start();
 
 } else {
   // Worker process - run the Express server
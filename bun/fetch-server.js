@@ -0,0 +1,21 @@
+// ============================================
+// Fetch-Handler Binding (Bun.serve)
+// ============================================
+// Serves a WHATWG fetch handler on Bun for fetch-based frameworks
+// (SERVER_IMPL=hono).
+
+function listen({ port, fetch }, onListen) {
+  const server = Bun.serve({
+    port,
+    // Seconds; matches the 65s keep-alive used on Node.js
+    idleTimeout: 65,
+    // bun/cluster.js workers are separate processes sharing the port
+    reusePort: true,
+    fetch
+  });
+
+  onListen();
+  return server;
+}
+
+module.exports = { listen };
@@ -0,0 +1,25 @@
+// ============================================
+// Native Bun.serve Binding
+// ============================================
+// Socket binding for the framework-free server implementation
+// (shared/native.js). Routing and serialization are shared; this file only
+// moves bytes between Bun.serve and the shared dispatcher.
+
+function listen({ port, dispatch }, onListen) {
+  const server = Bun.serve({
+    port,
+    // Seconds; matches the 65s keep-alive used on Node.js
+    idleTimeout: 65,
+    // bun/cluster.js workers are separate processes sharing the port
+    reusePort: true,
+    async fetch(req) {
+      const result = await dispatch(req.method, req.url, async () => Buffer.from(await req.arrayBuffer()));
+      return new Response(result.body, { status: result.status, headers: result.headers });
+    }
+  });
+
+  onListen();
+  return server;
+}
+
+module.exports = { listen };
@@ -0,0 +1,57 @@
+// Benchmark Definitions
+// Load-test benchmarks described in files instead of code: every .json,
+// .yaml or .yml file in DEFINITIONS_DIR is one benchmark, its file name (minus
+// the extension) the test type id. runner.js validates them and adds them to
+// TEST_TYPES; the dashboard server reloads them whenever the directory
+// changes, so a new file shows up in GET /api/tests without a restart.
+//
+// See definitions/*.yaml for the format.
+
+import { readdirSync, watch } from "fs";
+import { basename, extname, join } from "path";
+
+export const DEFINITIONS_DIR = process.env.DEFINITIONS_DIR || join(import.meta.dir, "definitions");
+
+const EXTENSIONS = [".json", ".yaml", ".yml"];
+// Editors write a file in several steps - reload once they are done
+const RELOAD_DELAY_MS = 200;
+
+// Parse every definition file in `dir`, as { id, file, definition } or
+// { id, file, error } when the file cannot be parsed. A missing directory
+// has no definitions.
+export async function readDefinitions(dir = DEFINITIONS_DIR) {
+  let files;
+  try {
+    files = readdirSync(dir).filter(file => EXTENSIONS.includes(extname(file))).sort();
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  return Promise.all(files.map(async (file) => {
+    const id = basename(file, extname(file));
+    try {
+      const text = await Bun.file(join(dir, file)).text();
+      const definition = extname(file) === ".json" ? JSON.parse(text) : Bun.YAML.parse(text);
+      return { id, file, definition };
+    } catch (error) {
+      return { id, file, error: `Cannot parse ${file}: ${error.message}` };
+    }
+  }));
+}
+
+// Call onChange() after files in `dir` are added, changed or removed.
+// Returns the watcher (close() stops it), or null without the directory.
+export function watchDefinitions(onChange, dir = DEFINITIONS_DIR) {
+  let timer = null;
+  try {
+    return watch(dir, (event, file) => {
+      if (file && !EXTENSIONS.includes(extname(file))) return;
+      clearTimeout(timer);
+      timer = setTimeout(onChange, RELOAD_DELAY_MS);
+    });
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
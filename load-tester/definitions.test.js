@@ -0,0 +1,161 @@
+import { afterAll, beforeAll, describe, expect, test } from "bun:test";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { DEFINITIONS_DIR, readDefinitions } from "./definitions.js";
+
+// runner.js picks its results directory on import - keep it out of /results
+let resultsDir = null;
+if (!process.env.RESULTS_DIR) {
+  resultsDir = mkdtempSync(join(tmpdir(), "definitions-test-results-"));
+  process.env.RESULTS_DIR = resultsDir;
+}
+const { loadDefinitions, resolveDefinition, TEST_TYPES } = await import("./runner.js");
+
+afterAll(() => {
+  if (resultsDir) rmSync(resultsDir, { recursive: true, force: true });
+});
+
+const resolve = raw => resolveDefinition("my-test", "my-test.yaml", raw);
+
+describe("resolveDefinition", () => {
+  test("only endpoint is required", () => {
+    expect(resolve({ endpoint: "/api/health" })).toEqual({
+      name: "my-test",
+      endpoint: "/api/health",
+      type: "definition",
+      description: "",
+      source: "definition",
+      file: "my-test.yaml",
+      definition: {
+        id: "my-test",
+        endpoint: "/api/health",
+        method: "GET",
+        headers: {},
+        body: null,
+        contentType: null,
+        load: { model: "closed", duration: null, concurrency: null, rate: null },
+        metrics: ["rps", "p50", "p99", "error_rate"],
+        summary: { metric: "rps", rule: "ratio", label: "req/s (rps)" }
+      }
+    });
+  });
+
+  test("object bodies are sent as JSON, strings as text", () => {
+    const json = resolve({ endpoint: "/api/todos", method: "POST", body: { title: "x" } }).definition;
+    expect(json.body).toBe('{"title":"x"}');
+    expect(json.contentType).toBe("application/json");
+
+    const text = resolve({ endpoint: "/api/todos", method: "POST", body: "title=x" }).definition;
+    expect(text.body).toBe("title=x");
+    expect(text.contentType).toBe("text/plain");
+
+    const form = resolve({ endpoint: "/api/todos", method: "POST", body: "title=x", contentType: "application/x-www-form-urlencoded" }).definition;
+    expect(form.contentType).toBe("application/x-www-form-urlencoded");
+  });
+
+  test("an open load model keeps its rate, a closed one drops it", () => {
+    expect(resolve({ endpoint: "/", load: { model: "open", rate: 500, duration: "10s" } }).definition.load)
+      .toEqual({ model: "open", duration: "10s", concurrency: null, rate: 500 });
+    expect(resolve({ endpoint: "/", load: { rate: 500 } }).definition.load.rate).toBeNull();
+  });
+
+  test("the headline defaults to the first metric, labelled by its unit", () => {
+    const { summary } = resolve({ endpoint: "/", metrics: ["p99", "rps"] }).definition;
+    expect(summary).toEqual({ metric: "p99", rule: "ratio", label: "ms (p99)" });
+  });
+
+  test("variant and storage are only set when the file sets them", () => {
+    expect(resolve({ endpoint: "/", variant: "native", storage: "sqlite" })).toMatchObject({ variant: "native", storage: "sqlite" });
+    expect(resolve({ endpoint: "/" })).not.toContainKey("variant");
+  });
+
+  test("rejects ids that are not lowercase", () => {
+    expect(() => resolveDefinition("My_Test", "My_Test.json", { endpoint: "/" })).toThrow("My_Test.json: the file name must be a lowercase id");
+    expect(() => resolveDefinition("-test", "-test.json", { endpoint: "/" })).toThrow("lowercase id");
+  });
+
+  test("rejects files that are not an object", () => {
+    for (const raw of [null, "endpoint: /", [{ endpoint: "/" }]]) {
+      expect(() => resolve(raw)).toThrow("my-test.yaml: expected an object");
+    }
+  });
+
+  test("rejects invalid requests", () => {
+    expect(() => resolve({})).toThrow("endpoint must be a path");
+    expect(() => resolve({ endpoint: "api/todos" })).toThrow("endpoint must be a path");
+    expect(() => resolve({ endpoint: "/", method: "get" })).toThrow("invalid method get");
+    expect(() => resolve({ endpoint: "/", headers: { "X-Count": 3 } })).toThrow("headers must map header names to strings");
+  });
+
+  test("rejects invalid load settings", () => {
+    expect(() => resolve({ endpoint: "/", load: { model: "burst" } })).toThrow("invalid load.model burst");
+    expect(() => resolve({ endpoint: "/", load: { duration: "10 minutes" } })).toThrow("invalid load.duration 10 minutes");
+    expect(() => resolve({ endpoint: "/", load: { concurrency: 0 } })).toThrow("load.concurrency must be a positive integer");
+    expect(() => resolve({ endpoint: "/", load: { concurrency: 2.5 } })).toThrow("load.concurrency must be a positive integer");
+    expect(() => resolve({ endpoint: "/", load: { model: "open" } })).toThrow("an open load model needs load.rate");
+    expect(() => resolve({ endpoint: "/", load: { model: "open", rate: -1 } })).toThrow("an open load model needs load.rate");
+  });
+
+  test("rejects unknown metrics and summaries", () => {
+    expect(() => resolve({ endpoint: "/", metrics: [] })).toThrow("metrics must be a non-empty list");
+    expect(() => resolve({ endpoint: "/", metrics: "rps" })).toThrow("metrics must be a non-empty list");
+    expect(() => resolve({ endpoint: "/", metrics: ["rps", "p42"] })).toThrow("unknown metric p42");
+    expect(() => resolve({ endpoint: "/", metrics: ["rps"], summary: { metric: "p99" } })).toThrow("summary.metric p99 is not one of the compared metrics");
+    expect(() => resolve({ endpoint: "/", summary: { rule: "percent" } })).toThrow("invalid summary.rule percent");
+  });
+
+  test("the bundled definitions are valid", async () => {
+    const entries = await readDefinitions(DEFINITIONS_DIR);
+    expect(entries.length).toBeGreaterThan(0);
+    for (const { id, file, definition, error } of entries) {
+      expect(error).toBeUndefined();
+      expect(() => resolveDefinition(id, file, definition)).not.toThrow();
+    }
+  });
+});
+
+describe("readDefinitions and loadDefinitions", () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = mkdtempSync(join(tmpdir(), "definitions-test-"));
+    writeFileSync(join(dir, "b-json.json"), JSON.stringify({ endpoint: "/api/health" }));
+    writeFileSync(join(dir, "a-yaml.yml"), "endpoint: /api/todos\nmethod: POST\nbody:\n  title: x\n");
+    writeFileSync(join(dir, "broken.json"), "{ endpoint:");
+    writeFileSync(join(dir, "invalid.yaml"), "method: GET\n");
+    writeFileSync(join(dir, "notes.txt"), "not a definition");
+  });
+
+  afterAll(() => rmSync(dir, { recursive: true, force: true }));
+
+  test("reads .json, .yaml and .yml files in name order", async () => {
+    const entries = await readDefinitions(dir);
+    expect(entries.map(({ file }) => file)).toEqual(["a-yaml.yml", "b-json.json", "broken.json", "invalid.yaml"]);
+    expect(entries[0]).toEqual({ id: "a-yaml", file: "a-yaml.yml", definition: { endpoint: "/api/todos", method: "POST", body: { title: "x" } } });
+    expect(entries[2].error).toStartWith("Cannot parse broken.json:");
+  });
+
+  test("a missing directory has no definitions", async () => {
+    expect(await readDefinitions(join(dir, "missing"))).toEqual([]);
+  });
+
+  test("loads the valid files and reports the others", async () => {
+    const { loaded, errors } = await loadDefinitions(dir);
+    expect(loaded).toEqual(["a-yaml", "b-json"]);
+    expect(errors.map(({ file }) => file)).toEqual(["broken.json", "invalid.yaml"]);
+    expect(errors[1].error).toBe("invalid.yaml: endpoint must be a path such as /api/todos");
+    expect(TEST_TYPES["b-json"].definition.endpoint).toBe("/api/health");
+  });
+
+  test("reloading replaces earlier definitions, and built-in ids cannot be redefined", async () => {
+    rmSync(join(dir, "b-json.json"));
+    writeFileSync(join(dir, "throughput-health.json"), JSON.stringify({ endpoint: "/" }));
+
+    const { loaded, errors } = await loadDefinitions(dir);
+    expect(loaded).toEqual(["a-yaml"]);
+    expect(TEST_TYPES["b-json"]).toBeUndefined();
+    expect(errors).toContainEqual({ file: "throughput-health.json", error: "throughput-health.json: test type throughput-health already exists" });
+    expect(TEST_TYPES["throughput-health"].type).not.toBe("definition");
+  });
+});
@@ -0,0 +1,132 @@
+// Latency Histogram
+// HDR-style log-linear histogram of integer microsecond values. Values below
+// SUB_BUCKET_COUNT get their own bucket; above that, every power-of-two range
+// is split into SUB_BUCKET_HALF linear sub-buckets, so any recorded value is
+// off by less than 1/SUB_BUCKET_HALF (~0.1%, 3 significant digits) at a fixed
+// memory cost, no matter how many requests are recorded.
+
+const SUB_BUCKET_BITS = 11;
+const SUB_BUCKET_COUNT = 1 << SUB_BUCKET_BITS; // 2048
+const SUB_BUCKET_HALF = SUB_BUCKET_COUNT >> 1; // 1024
+const MAX_VALUE = 2 ** 31 - 1; // ~35 minutes in microseconds
+const BUCKET_COUNT = (31 - SUB_BUCKET_BITS + 1) * SUB_BUCKET_HALF + SUB_BUCKET_COUNT;
+
+function indexFor(value) {
+  if (value < SUB_BUCKET_COUNT) return value;
+  const bucket = 31 - Math.clz32(value) - SUB_BUCKET_BITS + 1;
+  return bucket * SUB_BUCKET_HALF + (value >>> bucket);
+}
+
+// Lowest value and width of the range counted in a bucket index
+function rangeFor(index) {
+  if (index < SUB_BUCKET_COUNT) return { low: index, width: 1 };
+  const bucket = Math.floor((index - SUB_BUCKET_COUNT) / SUB_BUCKET_HALF) + 1;
+  const width = 2 ** bucket;
+  return { low: (index - bucket * SUB_BUCKET_HALF) * width, width };
+}
+
+export function createHistogram() {
+  const counts = new Uint32Array(BUCKET_COUNT);
+  let count = 0;
+  let min = Infinity;
+  let max = 0;
+  let sum = 0;
+  let sumSquares = 0;
+
+  function record(micros, times = 1) {
+    const value = Math.min(MAX_VALUE, Math.max(0, Math.round(micros)));
+    counts[indexFor(value)] += times;
+    count += times;
+    sum += value * times;
+    sumSquares += value * value * times;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+
+  // Highest value that is equivalent (same bucket) to the value at the
+  // percentile, as HdrHistogram reports it - never above the recorded max
+  function percentile(p) {
+    if (count === 0) return 0;
+    const target = Math.max(1, Math.ceil((p / 100) * count));
+    let seen = 0;
+    for (let i = 0; i < BUCKET_COUNT; i++) {
+      seen += counts[i];
+      if (seen >= target) {
+        const { low, width } = rangeFor(i);
+        return Math.min(low + width - 1, max);
+      }
+    }
+    return max;
+  }
+
+  function mean() {
+    return count > 0 ? sum / count : 0;
+  }
+
+  function stddev() {
+    if (count === 0) return 0;
+    const avg = mean();
+    return Math.sqrt(Math.max(0, sumSquares / count - avg * avg));
+  }
+
+  // Non-empty buckets as [lowest value, count] pairs
+  function buckets() {
+    const result = [];
+    for (let i = 0; i < BUCKET_COUNT; i++) {
+      if (counts[i] > 0) result.push([rangeFor(i).low, counts[i]]);
+    }
+    return result;
+  }
+
+  // Coarser view for reports: `perDoubling` log-spaced buckets per power of
+  // two, as [upper bound, count] pairs (non-empty buckets only)
+  function coarseBuckets(perDoubling = 4) {
+    const coarse = new Map();
+    for (const [value, times] of buckets()) {
+      const step = value > 1 ? Math.ceil(Math.log2(value) * perDoubling) : 0;
+      coarse.set(step, (coarse.get(step) || 0) + times);
+    }
+    return [...coarse].map(([step, times]) => [2 ** (step / perDoubling), times]);
+  }
+
+  function merge(other) {
+    for (const [value, times] of other.buckets()) {
+      counts[indexFor(value)] += times;
+    }
+    count += other.count;
+    sum += other.sum;
+    sumSquares += other.sumSquares;
+    if (other.count > 0) {
+      min = Math.min(min, other.min);
+      max = Math.max(max, other.max);
+    }
+  }
+
+  // Plain object that survives postMessage/JSON; see restoreHistogram()
+  function toJSON() {
+    return { count, min: count > 0 ? min : 0, max, sum, sumSquares, buckets: buckets() };
+  }
+
+  return {
+    record,
+    percentile,
+    mean,
+    stddev,
+    buckets,
+    coarseBuckets,
+    merge,
+    toJSON,
+    get count() { return count; },
+    get min() { return count > 0 ? min : 0; },
+    get max() { return max; },
+    get sum() { return sum; },
+    get sumSquares() { return sumSquares; }
+  };
+}
+
+// Rebuild a histogram from toJSON() output
+export function restoreHistogram(data) {
+  const histogram = createHistogram();
+  histogram.merge({ ...data, buckets: () => data.buckets });
+  return histogram;
+}
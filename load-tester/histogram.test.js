@@ -0,0 +1,123 @@
+import { describe, expect, test } from "bun:test";
+import { createHistogram, restoreHistogram } from "./histogram.js";
+
+// Bucket of a single recorded value, as [lowest value, count]
+function bucketOf(value) {
+  const histogram = createHistogram();
+  histogram.record(value);
+  return histogram.buckets()[0];
+}
+
+describe("buckets", () => {
+  test("values below 2048 get a bucket each", () => {
+    expect(bucketOf(0)).toEqual([0, 1]);
+    expect(bucketOf(1)).toEqual([1, 1]);
+    expect(bucketOf(2047)).toEqual([2047, 1]);
+  });
+
+  test("2048 starts the first doubling, two values wide", () => {
+    expect(bucketOf(2048)).toEqual([2048, 1]);
+    expect(bucketOf(2049)).toEqual([2048, 1]);
+    expect(bucketOf(2050)).toEqual([2050, 1]);
+    expect(bucketOf(4095)).toEqual([4094, 1]);
+  });
+
+  test("4096 starts the next doubling, four values wide", () => {
+    expect(bucketOf(4096)).toEqual([4096, 1]);
+    expect(bucketOf(4099)).toEqual([4096, 1]);
+    expect(bucketOf(4100)).toEqual([4100, 1]);
+  });
+
+  test("every value lands in a bucket within 0.1% below it", () => {
+    for (const value of [2047, 2048, 3000, 4095, 4096, 65535, 65536, 1e6, 123456789, 2 ** 31 - 1]) {
+      const [low] = bucketOf(value);
+      expect(low).toBeLessThanOrEqual(value);
+      expect((value - low) / value).toBeLessThan(1 / 1024);
+    }
+  });
+
+  test("values are rounded and clamped to 0 .. 2^31 - 1", () => {
+    const histogram = createHistogram();
+    histogram.record(-5);
+    histogram.record(1.6);
+    histogram.record(1e12);
+    expect(histogram.min).toBe(0);
+    expect(histogram.max).toBe(2 ** 31 - 1);
+    expect(histogram.buckets().map(([low]) => low).slice(0, 2)).toEqual([0, 2]);
+  });
+});
+
+describe("percentile", () => {
+  test("is 0 for an empty histogram", () => {
+    const histogram = createHistogram();
+    expect(histogram.percentile(50)).toBe(0);
+    expect(histogram.min).toBe(0);
+    expect(histogram.mean()).toBe(0);
+    expect(histogram.stddev()).toBe(0);
+  });
+
+  test("reports exact values below 2048", () => {
+    const histogram = createHistogram();
+    for (let value = 1; value <= 100; value++) histogram.record(value);
+    expect(histogram.percentile(50)).toBe(50);
+    expect(histogram.percentile(99)).toBe(99);
+    expect(histogram.percentile(100)).toBe(100);
+    expect(histogram.percentile(0)).toBe(1);
+  });
+
+  test("reports the top of the bucket, but never above the max", () => {
+    const histogram = createHistogram();
+    histogram.record(2048);
+    histogram.record(4096, 3);
+    // 2048's bucket holds 2048-2049
+    expect(histogram.percentile(25)).toBe(2049);
+    // 4096's bucket holds 4096-4099, the max is 4096
+    expect(histogram.percentile(100)).toBe(4096);
+  });
+
+  test("counts repeated records", () => {
+    const histogram = createHistogram();
+    histogram.record(10, 99);
+    histogram.record(1000);
+    expect(histogram.count).toBe(100);
+    expect(histogram.percentile(99)).toBe(10);
+    expect(histogram.percentile(99.9)).toBe(1000);
+  });
+});
+
+describe("merge and restore", () => {
+  test("merging matches recording everything in one histogram", () => {
+    const a = createHistogram();
+    const b = createHistogram();
+    const all = createHistogram();
+    for (const value of [5, 2048, 2049, 70000]) {
+      a.record(value);
+      all.record(value);
+    }
+    for (const value of [1, 4096, 1e6]) {
+      b.record(value);
+      all.record(value);
+    }
+
+    a.merge(b);
+    expect(a.toJSON()).toEqual(all.toJSON());
+  });
+
+  test("merging an empty histogram keeps min and max", () => {
+    const histogram = createHistogram();
+    histogram.record(300);
+    histogram.merge(createHistogram());
+    expect(histogram.min).toBe(300);
+    expect(histogram.max).toBe(300);
+  });
+
+  test("restoreHistogram() round-trips through JSON", () => {
+    const histogram = createHistogram();
+    for (const value of [3, 2048, 4097, 1e6]) histogram.record(value);
+    const restored = restoreHistogram(JSON.parse(JSON.stringify(histogram)));
+
+    expect(restored.toJSON()).toEqual(histogram.toJSON());
+    expect(restored.percentile(75)).toBe(histogram.percentile(75));
+    expect(restored.stddev()).toBeCloseTo(histogram.stddev());
+  });
+});
@@ -0,0 +1,362 @@
+// Built-in Load Generator
+// Replaces the hey shell-out: every request's latency is recorded into a
+// histogram (./histogram.js) instead of being scraped from hey's text summary.
+//
+// Each runLoad() call runs in its own worker thread, so the Bun and Node.js
+// targets that are measured in parallel never share an event loop with each
+// other or with the dashboard.
+//
+// Options:
+//   url           - target URL
+//   method        - HTTP method (default GET)
+//   headers       - request headers
+//   body          - request body (string or ArrayBuffer), sent with every request
+//   concurrency   - connections in the pool; each keeps exactly one request in
+//                   flight and reuses its keep-alive connection. In open-loop
+//                   mode, the most requests allowed in flight at once
+//   durationMs    - duration mode: send requests until this much time passed
+//   requests      - request-count mode: send exactly this many requests
+//                   (takes precedence over durationMs)
+//   rate          - open-loop mode: requests per second (see below)
+//   profile       - staged load instead of durationMs/concurrency/rate:
+//                   { by: "concurrency" | "rate", stages: [{ durationMs,
+//                   target, ramp: "linear" | "step" }] }. By rate it runs
+//                   open loop, with `concurrency` still capping requests in
+//                   flight
+//   timeoutMs     - per-request timeout (default 20000)
+//   parallelTargets - load tests this process runs at once, one per target
+//                   (default 2), for the in-flight limit warning below
+//   signal        - AbortSignal that cancels the test: the worker is
+//                   terminated and runLoad() rejects with the abort reason
+//   onTick        - called with each second of the timeline (see below) as
+//                   soon as it is over
+//
+// Closed loop (default) sends the next request on a connection only once the
+// previous response arrived, so a stalled server is offered less load and
+// its stall shows up in only a few samples (coordinated omission). Open loop
+// schedules request i at start + i / rate no matter how the server responds,
+// and measures each latency from that intended send time. Arrivals that find
+// `concurrency` requests already in flight are dropped; requests the
+// generator sent more than LATE_THRESHOLD_MS after their intended time are
+// counted as late.
+//
+// The result's timeline splits the test into seconds: { second (from 0),
+// elapsed_ms (at its end), duration_ms, requests, errors, bytes,
+// requests_per_second, latency: { mean, p50, p90, p99, max } (ms, null
+// without responses) }. A last partial second shorter than
+// MIN_PARTIAL_SECOND_MS is left out.
+//
+// fetch() in Bun allows 256 requests in flight per process unless
+// BUN_CONFIG_MAX_HTTP_REQUESTS is raised (the load-tester image sets it).
+
+import { createHistogram, restoreHistogram } from "./histogram.js";
+
+const MAX_IN_FLIGHT = parseInt(process.env.BUN_CONFIG_MAX_HTTP_REQUESTS) || 256;
+const LATE_THRESHOLD_MS = 5;
+const TICK_MS = 100;
+const TIMELINE_INTERVAL_MS = 1000;
+const MIN_PARTIAL_SECOND_MS = 500;
+
+// Run a load test in a worker thread. Resolves with the result of
+// generateLoad(), its histogram restored to a live histogram object.
+export function runLoad(options) {
+  const { signal, onTick, ...load } = options;
+  const parallelTargets = load.parallelTargets || 2;
+  if (load.concurrency * parallelTargets > MAX_IN_FLIGHT) {
+    // Targets measured at once share the process limit
+    console.warn(`[LoadGen] concurrency ${load.concurrency} per target exceeds BUN_CONFIG_MAX_HTTP_REQUESTS=${MAX_IN_FLIGHT} for ${parallelTargets} parallel targets; requests will queue`);
+  }
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const worker = new Worker(new URL("./loadgen.js", import.meta.url).href);
+
+    const abort = () => {
+      worker.terminate();
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", abort, { once: true });
+
+    worker.onmessage = (event) => {
+      if (event.data.tick) {
+        onTick?.(event.data.tick);
+        return;
+      }
+      signal?.removeEventListener("abort", abort);
+      worker.terminate();
+      if (event.data.error) {
+        reject(new Error(event.data.error));
+      } else {
+        const stages = event.data.stages?.map(stage => ({ ...stage, histogram: restoreHistogram(stage.histogram) }));
+        resolve({ ...event.data, stages, histogram: restoreHistogram(event.data.histogram) });
+      }
+    };
+    worker.onerror = (event) => {
+      signal?.removeEventListener("abort", abort);
+      worker.terminate();
+      reject(new Error(event.message || "Load generator worker failed"));
+    };
+
+    worker.postMessage({ ...load, interim: Boolean(onTick) });
+  });
+}
+
+// Target of a staged profile `elapsedMs` into the run, as { index, target }:
+// linear stages ramp from the previous stage's target (0 before the first),
+// step stages jump straight to theirs. null once the last stage is over.
+export function profileTarget(stages, elapsedMs) {
+  let from = 0;
+  let stageStart = 0;
+  for (const [index, stage] of stages.entries()) {
+    if (elapsedMs < stageStart + stage.durationMs) {
+      const progress = stage.ramp === "step" ? 1 : (elapsedMs - stageStart) / stage.durationMs;
+      return { index, target: from + (stage.target - from) * progress };
+    }
+    from = stage.target;
+    stageStart += stage.durationMs;
+  }
+  return null;
+}
+
+// The load loop itself. Latencies are in microseconds; transport errors
+// (refused, reset, timeout) are counted separately from HTTP status codes.
+export async function generateLoad(options) {
+  const {
+    url,
+    method = "GET",
+    headers = {},
+    body = null,
+    concurrency,
+    durationMs = 0,
+    requests = 0,
+    rate = 0,
+    profile = null,
+    timeoutMs = 20000,
+    onTick = null
+  } = options;
+
+  const histogram = createHistogram();
+  const statusCodes = {};
+  const errors = {};
+  let completed = 0;
+  let failed = 0;
+  let issued = 0;
+  let bytesReceived = 0;
+
+  const start = performance.now();
+  const deadline = start + durationMs;
+  const openLoop = rate > 0 || profile?.by === "rate"
+    ? { target_rate: rate || null, offered: 0, sent: 0, dropped: 0, late: 0, max_send_lag_ms: 0 }
+    : null;
+
+  // Counters of each stage of a profile; requests count in the stage they
+  // were sent (or due) in
+  const stages = (profile?.stages || []).map(stage => ({
+    ...stage,
+    histogram: createHistogram(),
+    completed: 0,
+    failed: 0,
+    offered: 0,
+    dropped: 0,
+    late: 0
+  }));
+
+  // Counters of the current second of the timeline
+  const timeline = [];
+  const newSecond = () => ({ startedAt: performance.now(), histogram: createHistogram(), completed: 0, failed: 0, bytes: 0 });
+  let second = newSecond();
+
+  function closeSecond() {
+    const { startedAt, histogram: latest, completed: requests, failed: errors, bytes } = second;
+    second = newSecond();
+    const durationMs = second.startedAt - startedAt;
+    const entry = {
+      second: timeline.length,
+      elapsed_ms: Math.round(second.startedAt - start),
+      duration_ms: Math.round(durationMs),
+      requests,
+      errors,
+      bytes,
+      requests_per_second: Math.round(requests / (durationMs / 1000)),
+      latency: latest.count > 0 ? {
+        mean: +(latest.mean() / 1000).toFixed(3),
+        p50: latest.percentile(50) / 1000,
+        p90: latest.percentile(90) / 1000,
+        p99: latest.percentile(99) / 1000,
+        max: latest.max / 1000
+      } : null
+    };
+    timeline.push(entry);
+    onTick?.(entry);
+  }
+  const timelineTimer = setInterval(closeSecond, TIMELINE_INTERVAL_MS);
+
+  function claimRequest() {
+    if (requests > 0) return issued++ < requests;
+    return performance.now() < deadline;
+  }
+
+  // One request; latency counts from `since` (send time, or the intended
+  // send time in open-loop mode)
+  async function send(since, stage = null) {
+    try {
+      const response = await fetch(url, {
+        method,
+        headers,
+        body,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      const data = await response.arrayBuffer();
+
+      const micros = (performance.now() - since) * 1000;
+      histogram.record(micros);
+      statusCodes[response.status] = (statusCodes[response.status] || 0) + 1;
+      bytesReceived += data.byteLength;
+      completed++;
+      second.histogram.record(micros);
+      second.completed++;
+      second.bytes += data.byteLength;
+      if (stage) {
+        stage.histogram.record(micros);
+        stage.completed++;
+      }
+    } catch (error) {
+      const reason = error.name === "TimeoutError" ? "timeout" : error.code || error.message;
+      errors[reason] = (errors[reason] || 0) + 1;
+      failed++;
+      second.failed++;
+      if (stage) stage.failed++;
+    }
+  }
+
+  async function connection() {
+    while (claimRequest()) {
+      await send(performance.now());
+    }
+  }
+
+  // Closed loop with a concurrency profile: every TICK_MS, start connection
+  // slots up to the current target; slots above it stop after their request
+  async function stagedConnections() {
+    const running = new Set();
+    const loops = [];
+
+    async function slot(index) {
+      running.add(index);
+      for (;;) {
+        const now = performance.now();
+        const at = profileTarget(profile.stages, now - start);
+        if (!at || index >= Math.round(at.target)) break;
+        await send(now, stages[at.index]);
+      }
+      running.delete(index);
+    }
+
+    for (let at = profileTarget(profile.stages, 0); at; at = profileTarget(profile.stages, performance.now() - start)) {
+      for (let index = 0; index < Math.round(at.target); index++) {
+        if (!running.has(index)) loops.push(slot(index));
+      }
+      await Bun.sleep(TICK_MS);
+    }
+
+    await Promise.all(loops);
+  }
+
+  // Open loop: send one request at its intended time, unless `concurrency`
+  // requests are already in flight
+  async function dispatch(intended, inFlight, stage = null) {
+    const wait = intended - performance.now();
+    if (wait > 0) await Bun.sleep(wait);
+
+    openLoop.offered++;
+    if (stage) stage.offered++;
+    if (inFlight.size >= concurrency) {
+      openLoop.dropped++;
+      if (stage) stage.dropped++;
+      return;
+    }
+
+    const lag = performance.now() - intended;
+    if (lag > LATE_THRESHOLD_MS) {
+      openLoop.late++;
+      if (stage) stage.late++;
+    }
+    if (lag > openLoop.max_send_lag_ms) openLoop.max_send_lag_ms = lag;
+    openLoop.sent++;
+
+    const request = send(intended, stage);
+    inFlight.add(request);
+    request.finally(() => inFlight.delete(request));
+  }
+
+  async function arrivals() {
+    const interval = 1000 / rate;
+    const inFlight = new Set();
+
+    for (let i = 0; requests > 0 ? i < requests : start + i * interval < deadline; i++) {
+      await dispatch(start + i * interval, inFlight);
+    }
+
+    await Promise.all(inFlight);
+  }
+
+  // Open loop with a rate profile: the gap to the next arrival follows the
+  // rate at the previous one
+  async function stagedArrivals() {
+    const inFlight = new Set();
+
+    for (let intended = start, at = profileTarget(profile.stages, 0); at; at = profileTarget(profile.stages, intended - start)) {
+      if (at.target < 1) {
+        // Under 1 request/s: wait for the ramp to pick up
+        intended += TICK_MS;
+        continue;
+      }
+      await dispatch(intended, inFlight, stages[at.index]);
+      intended += 1000 / at.target;
+    }
+
+    await Promise.all(inFlight);
+  }
+
+  if (profile?.by === "rate") {
+    await stagedArrivals();
+  } else if (profile) {
+    await stagedConnections();
+  } else if (rate > 0) {
+    await arrivals();
+  } else {
+    await Promise.all(Array.from({ length: concurrency }, connection));
+  }
+  clearInterval(timelineTimer);
+  if (performance.now() - second.startedAt >= MIN_PARTIAL_SECOND_MS) closeSecond();
+
+  const elapsedMs = performance.now() - start;
+  const bodyBytes = body ? (typeof body === "string" ? Buffer.byteLength(body) : body.byteLength) : 0;
+
+  return {
+    completed,
+    failed,
+    elapsed_ms: elapsedMs,
+    requests_per_second: elapsedMs > 0 ? completed / (elapsedMs / 1000) : 0,
+    bytes_received: bytesReceived,
+    bytes_sent: completed * bodyBytes,
+    status_codes: statusCodes,
+    errors,
+    open_loop: openLoop,
+    stages: profile ? stages.map(stage => ({ ...stage, histogram: stage.histogram.toJSON() })) : null,
+    timeline,
+    histogram: histogram.toJSON()
+  };
+}
+
+// Worker thread side of runLoad()
+if (!Bun.isMainThread) {
+  self.onmessage = async (event) => {
+    try {
+      const onTick = event.data.interim ? (tick) => postMessage({ tick }) : null;
+      postMessage(await generateLoad({ ...event.data, onTick }));
+    } catch (error) {
+      postMessage({ error: error.message });
+    }
+  };
+}
@@ -1,8 +1,14 @@
 // Benchmark Runner Module
-// Wraps hey/curl commands for benchmark execution
+// Drives the load generator (built-in or hey) and fetch-based tests
 
 import { $ } from "bun";
 import { existsSync, mkdirSync } from "fs";
+import { runLoad } from "./loadgen.js";
+import { warmUp, STEADY_STATE_WINDOW } from "./warmup.js";
+import { describe, mannWhitneyU, SIGNIFICANCE_LEVEL } from "./stats.js";
+import { runScenario, SCENARIOS } from "./scenario.js";
+import { readDefinitions } from "./definitions.js";
+import { parseCron } from "./schedule.js";
 
 // Determine results directory with fallback to /tmp for cloud environments
 function getResultsDir() {
@@ -38,9 +44,476 @@ const RESULTS_DIR = getResultsDir();
 // For Docker Compose: fallback to container names with port 3000
 const BUN_URL = process.env.BUN_URL || `http://${process.env.BUN_HOST || "bun-app"}:3000`;
 const NODEJS_URL = process.env.NODEJS_URL || `http://${process.env.NODEJS_HOST || "nodejs-app"}:3000`;
+// Other server implementations (SERVER_IMPL=<variant>) run as their own
+// containers: <RUNTIME>_<VARIANT>_URL, or <runtime>-<variant>-app:3000
+function variantUrl(runtime, variant) {
+  const key = `${runtime}_${variant}`.toUpperCase();
+  return process.env[`${key}_URL`] || `http://${process.env[`${key}_HOST`] || `${runtime}-${variant}-app`}:3000`;
+}
+
+// Server implementation variants per runtime (null = not available)
+export const SERVER_VARIANTS = {
+  express: { bun: BUN_URL, nodejs: NODEJS_URL },
+  native: { bun: variantUrl("bun", "native"), nodejs: variantUrl("nodejs", "native") },
+  fastify: { bun: variantUrl("bun", "fastify"), nodejs: variantUrl("nodejs", "fastify") },
+  hono: { bun: variantUrl("bun", "hono"), nodejs: variantUrl("nodejs", "hono") },
+  elysia: { bun: variantUrl("bun", "elysia"), nodejs: null } // Elysia is Bun-only
+};
+
+// Target registry: the servers a run can benchmark side by side. bun and
+// nodejs are the app containers above, their server implementation and
+// storage picked per run. Other targets (Deno, other Bun or Node.js
+// versions, a framework variant at its own URL) are added through
+// /api/targets and kept in TARGETS_FILE. Every target must serve the
+// benchmark app's API.
+const TARGETS_FILE = process.env.TARGETS_FILE || `${RESULTS_DIR}/targets.json`;
+const DEFAULT_TARGETS = ["bun", "nodejs"];
+
+export const TARGETS = {
+  bun: { name: "bun", url: BUN_URL, runtime: "Bun", metadata: {}, source: "builtin" },
+  nodejs: { name: "nodejs", url: NODEJS_URL, runtime: "Node.js", metadata: {}, source: "builtin" }
+};
+
+// Validate a target as sent to /api/targets or stored in TARGETS_FILE:
+// { name, url, runtime (display label, default: name), metadata }
+export function resolveTarget(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("A target must be an object");
+  }
+  const { name, url, runtime = name, metadata = {} } = raw;
+
+  if (typeof name !== "string" || !/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+    throw new Error("name must be a lowercase id (letters, digits, dashes)");
+  }
+  let protocol;
+  try {
+    protocol = new URL(url).protocol;
+  } catch {
+    protocol = null;
+  }
+  if (protocol !== "http:" && protocol !== "https:") {
+    throw new Error(`${name}: url must be an http(s) URL`);
+  }
+  if (typeof runtime !== "string" || runtime.length === 0) {
+    throw new Error(`${name}: runtime must be a non-empty label`);
+  }
+  if (!metadata || typeof metadata !== "object" || Array.isArray(metadata)) {
+    throw new Error(`${name}: metadata must be an object`);
+  }
+
+  return { name, url: url.replace(/\/+$/, ""), runtime, metadata, source: "registry" };
+}
+
+// Load the registered targets from TARGETS_FILE (none while it does not
+// exist). Entries that fail validation are reported, not loaded.
+export async function loadTargets(file = TARGETS_FILE) {
+  const loaded = [];
+  const errors = [];
+  if (!(await Bun.file(file).exists())) return { file, loaded, errors };
+
+  const entries = await Bun.file(file).json();
+  if (!Array.isArray(entries)) throw new Error(`${file}: expected an array of targets`);
+
+  for (const entry of entries) {
+    try {
+      const target = resolveTarget(entry);
+      if (TARGETS[target.name]?.source === "builtin") throw new Error(`${target.name}: built-in targets cannot be redefined`);
+      TARGETS[target.name] = target;
+      loaded.push(target.name);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  return { file, loaded, errors };
+}
+
+async function saveTargets() {
+  const registered = Object.values(TARGETS)
+    .filter(target => target.source === "registry")
+    .map(({ source, ...target }) => target);
+  await Bun.write(TARGETS_FILE, JSON.stringify(registered, null, 2));
+}
+
+// Add or replace a registered target (validated by resolveTarget())
+export async function setTarget(target) {
+  TARGETS[target.name] = target;
+  await saveTargets();
+}
+
+export async function deleteTarget(name) {
+  delete TARGETS[name];
+  await saveTargets();
+}
+
+// Targets of a run, in order, and the baseline every other target is
+// compared against (default: the last one)
+export function resolveTargets(config = {}) {
+  const targets = config.targets ?? DEFAULT_TARGETS;
+  if (!Array.isArray(targets) || targets.length < 2) {
+    throw new Error("targets must list at least two targets");
+  }
+  for (const name of targets) {
+    if (!TARGETS[name]) throw new Error(`Unknown target ${name}`);
+  }
+  if (new Set(targets).size !== targets.length) {
+    throw new Error("targets must not list a target twice");
+  }
+
+  const baseline = config.baseline ?? targets[targets.length - 1];
+  if (!targets.includes(baseline)) {
+    throw new Error(`baseline ${baseline} is not one of the run's targets`);
+  }
+  return { targets, baseline };
+}
+
+// Resolve which variant each runtime uses for a run. `variant` applies to
+// both runtimes; bunVariant/nodejsVariant pick frameworks independently
+// (e.g. Bun + Elysia vs Node.js + Fastify).
+export function resolveVariants(testType, config = {}) {
+  const variant = config.variant || TEST_TYPES[testType]?.variant || "express";
+  const variants = {
+    bun: config.bunVariant || variant,
+    nodejs: config.nodejsVariant || variant
+  };
+
+  for (const [runtime, name] of Object.entries(variants)) {
+    if (!SERVER_VARIANTS[name]) {
+      throw new Error(`Invalid server variant: ${name}`);
+    }
+    if (!SERVER_VARIANTS[name][runtime]) {
+      throw new Error(`Server variant ${name} is not available on ${runtime}`);
+    }
+  }
+
+  return variants;
+}
+
+// Todo storage backends (STORAGE=<storage>). memory is what every server
+// variant container runs; sqlite containers run the Express app with
+// STORAGE=sqlite: <RUNTIME>_SQLITE_URL, or <runtime>-sqlite-app:3000
+export const STORAGE_BACKENDS = {
+  memory: null,
+  sqlite: { bun: variantUrl("bun", "sqlite"), nodejs: variantUrl("nodejs", "sqlite") }
+};
+
+// Resolve the storage backend for a run (config.storage, else the test
+// type's default, else memory)
+export function resolveStorage(testType, config = {}, variants = resolveVariants(testType, config)) {
+  const storage = config.storage || TEST_TYPES[testType]?.storage || "memory";
+
+  if (!(storage in STORAGE_BACKENDS)) {
+    throw new Error(`Invalid storage backend: ${storage}`);
+  }
+  if (STORAGE_BACKENDS[storage] && (variants.bun !== "express" || variants.nodejs !== "express")) {
+    throw new Error(`Storage backend ${storage} is only deployed with the express variant`);
+  }
+
+  return storage;
+}
+
+// Cluster supervisor admin endpoint, served by each app container's primary
+// process on ADMIN_PORT (see shared/supervisor.js)
+const ADMIN_PORT = process.env.ADMIN_PORT || "9090";
+function adminUrl(targetUrl) {
+  const url = new URL(targetUrl);
+  url.port = ADMIN_PORT;
+  return url.origin;
+}
+
+// Load generators: builtin (./loadgen.js, default) or hey, which must be on
+// PATH. LOAD_GENERATOR sets the default, POST /api/run can pick per run.
+export const LOAD_GENERATORS = ["builtin", "hey"];
+const DEFAULT_LOAD_GENERATOR = process.env.LOAD_GENERATOR || "builtin";
+
+export function resolveLoadGenerator(config = {}) {
+  const generator = config.loadGenerator || DEFAULT_LOAD_GENERATOR;
+  if (!LOAD_GENERATORS.includes(generator)) {
+    throw new Error(`Invalid load generator: ${generator} (expected: ${LOAD_GENERATORS.join(", ")})`);
+  }
+  return generator;
+}
+
+// Open-loop load (see ./loadgen.js): `rate` requests per second per target,
+// latency measured from the intended send time. Needs the built-in generator;
+// hey only runs closed-loop. null = closed loop.
+export function resolveRate(config = {}) {
+  const rate = config.rate ?? null;
+  if (rate === null) return null;
+  if (!(Number.isFinite(rate) && rate > 0)) {
+    throw new Error("rate must be a positive number of requests per second");
+  }
+  if (resolveLoadGenerator(config) !== "builtin") {
+    throw new Error("Open-loop mode (rate) needs the builtin load generator");
+  }
+  return rate;
+}
+
+// Load profiles: `stages` replaces a load test's duration and concurrency
+// (or rate) with k6-style stages, each { duration, concurrency | rate, ramp }.
+// All stages target the same one; "linear" (default) ramps from the previous
+// stage's target (0 before the first), "step" jumps to it. Rate stages run
+// open loop, capped at the run's concurrency in flight.
+export const RAMP_SHAPES = ["linear", "step"];
+const PROFILE_TEST_TYPES = ["throughput", "crud-mix", "network-egress", "network-inbound"];
+
+export function resolveStages(testType, config = {}) {
+  const stages = config.stages ?? null;
+  if (stages === null) return null;
+
+  if (testType !== "full-suite" && !PROFILE_TEST_TYPES.includes(TEST_TYPES[testType]?.type)) {
+    throw new Error(`Load profiles are not supported by ${testType}`);
+  }
+  if (!Array.isArray(stages) || stages.length === 0) {
+    throw new Error("stages must be a non-empty array");
+  }
+  if (resolveLoadGenerator(config) !== "builtin") {
+    throw new Error("Load profiles (stages) need the builtin load generator");
+  }
+  if (config.requests || config.rate) {
+    throw new Error("stages cannot be combined with requests or rate");
+  }
+
+  const by = stages[0]?.rate !== undefined ? "rate" : "concurrency";
+  return stages.map((stage, i) => {
+    const { duration, ramp = "linear" } = stage || {};
+    const target = stage?.[by];
+    if (!DURATION_PATTERN.test(duration)) {
+      throw new Error(`Stage ${i + 1}: invalid duration ${duration}`);
+    }
+    if (!(Number.isFinite(target) && target >= 0) || (by === "concurrency" && !Number.isInteger(target))) {
+      throw new Error(`Stage ${i + 1}: every stage needs a non-negative ${by} (stages cannot mix concurrency and rate)`);
+    }
+    if (!RAMP_SHAPES.includes(ramp)) {
+      throw new Error(`Stage ${i + 1}: invalid ramp ${ramp} (expected: ${RAMP_SHAPES.join(", ")})`);
+    }
+    return { duration, [by]: target, ramp };
+  });
+}
+
+// Execution modes: parallel (default) loads both targets at the same time;
+// sequential loads one target at a time, alternates which runtime goes first
+// (Bun/Node, Node/Bun, ... - ABBA across repetitions) and pauses for
+// cooldownSeconds before each target so neither inherits the other's load.
+export const EXECUTION_MODES = ["parallel", "sequential"];
+const DEFAULT_COOLDOWN_SECONDS = 10;
+
+export function resolveExecution(config = {}) {
+  const executionMode = config.executionMode || "parallel";
+  if (!EXECUTION_MODES.includes(executionMode)) {
+    throw new Error(`Invalid execution mode: ${executionMode} (expected: ${EXECUTION_MODES.join(", ")})`);
+  }
+  if (executionMode === "parallel") {
+    return { executionMode, cooldownSeconds: 0 };
+  }
+
+  const cooldownSeconds = config.cooldownSeconds ?? DEFAULT_COOLDOWN_SECONDS;
+  if (!Number.isFinite(cooldownSeconds) || cooldownSeconds < 0) {
+    throw new Error("cooldownSeconds must be a non-negative number");
+  }
+  return { executionMode, cooldownSeconds };
+}
+
+// Warmup before each measurement (see ./warmup.js): "auto" (default) warms
+// until latency settles, at most maxWarmup; a duration ("15s") warms for that
+// long; "off" measures from the first request.
+const DEFAULT_MAX_WARMUP = "20s";
+
+export function resolveWarmup(config = {}) {
+  const warmup = config.warmup || "auto";
+  const maxWarmup = config.maxWarmup || DEFAULT_MAX_WARMUP;
+  if (warmup !== "auto" && warmup !== "off" && !DURATION_PATTERN.test(warmup)) {
+    throw new Error(`Invalid warmup: ${warmup} (expected: auto, off or a duration such as 15s)`);
+  }
+  if (!DURATION_PATTERN.test(maxWarmup)) {
+    throw new Error(`Invalid maxWarmup: ${maxWarmup}`);
+  }
+  return { warmup, maxWarmup };
+}
+
+// Capacity search (the capacity test type): binary-search the highest load each
+// runtime sustains per endpoint while p99 latency stays within slo.p99Ms and
+// the error rate (non-2xx, transport errors and dropped arrivals) within
+// slo.errorRate. searchBy "rate" (default with the builtin generator) probes
+// open-loop arrival rates up to maxRate, with maxConcurrency in flight at
+// most; "concurrency" probes closed-loop connection counts up to
+// maxConcurrency. Each probe runs for the run's duration.
+export const CAPACITY_SEARCH_MODES = ["rate", "concurrency"];
+const DEFAULT_SLO = { p99Ms: 100, errorRate: 0.01 };
+const DEFAULT_MAX_RATE = 20000;
+
+export function resolveCapacity(testType, config = {}) {
+  if (TEST_TYPES[testType]?.type !== "capacity") return null;
+
+  const generator = resolveLoadGenerator(config);
+  const searchBy = config.searchBy || (generator === "builtin" ? "rate" : "concurrency");
+  if (!CAPACITY_SEARCH_MODES.includes(searchBy)) {
+    throw new Error(`Invalid searchBy: ${searchBy} (expected: ${CAPACITY_SEARCH_MODES.join(", ")})`);
+  }
+  if (searchBy === "rate" && generator !== "builtin") {
+    throw new Error("Searching by rate needs the builtin load generator");
+  }
+  if (config.requests || config.rate) {
+    throw new Error("Capacity search sets the load itself and cannot be combined with requests or rate");
+  }
+
+  if (config.slo !== undefined && (typeof config.slo !== "object" || config.slo === null)) {
+    throw new Error("slo must be an object such as { p99Ms: 100, errorRate: 0.01 }");
+  }
+  const slo = { ...DEFAULT_SLO, ...config.slo };
+  if (!(Number.isFinite(slo.p99Ms) && slo.p99Ms > 0)) {
+    throw new Error("slo.p99Ms must be a positive number of milliseconds");
+  }
+  if (!(Number.isFinite(slo.errorRate) && slo.errorRate >= 0 && slo.errorRate < 1)) {
+    throw new Error("slo.errorRate must be a fraction between 0 and 1");
+  }
+
+  const maxRate = config.maxRate ?? DEFAULT_MAX_RATE;
+  if (!(Number.isInteger(maxRate) && maxRate > 0)) {
+    throw new Error("maxRate must be a positive whole number of requests per second");
+  }
+
+  return { searchBy, slo: { p99Ms: slo.p99Ms, errorRate: slo.errorRate }, maxRate: searchBy === "rate" ? maxRate : null };
+}
+
+// User-journey scenarios (see ./scenario.js): `scenario` picks the script
+// (default: the test type's), `thinkTime` the mean pause between steps
+// ("0" for none). The run's concurrency is the number of virtual users and
+// its duration how long they keep starting iterations. Scenarios run on
+// their own engine, so hey, rate, stages and requests do not apply.
+const DEFAULT_THINK_TIME = "500ms";
+
+export function resolveScenario(testType, config = {}) {
+  if (TEST_TYPES[testType]?.type !== "scenario") return null;
+
+  const scenario = config.scenario || TEST_TYPES[testType].scenario;
+  if (!SCENARIOS[scenario]) {
+    throw new Error(`Unknown scenario: ${scenario} (expected: ${Object.keys(SCENARIOS).join(", ")})`);
+  }
+  const thinkTime = config.thinkTime ?? DEFAULT_THINK_TIME;
+  if (!DURATION_PATTERN.test(thinkTime)) {
+    throw new Error(`Invalid thinkTime: ${thinkTime} (expected a duration such as 500ms)`);
+  }
+  if (resolveLoadGenerator(config) !== "builtin") {
+    throw new Error("Scenarios run on the builtin load generator");
+  }
+  if (config.requests || config.rate) {
+    throw new Error("Scenarios cannot be combined with requests or rate");
+  }
+
+  return { scenario, thinkTime };
+}
 
 console.log(`[Storage] Using results directory: ${RESULTS_DIR}`);
 
+// Settings a run request can carry besides its testType
+const RUN_CONFIG_KEYS = [
+  "duration", "concurrency", "iterations", "maxConcurrency", "suiteDurationMinutes",
+  "variant", "bunVariant", "nodejsVariant", "storage", "maxWorkers", "requests",
+  "loadGenerator", "executionMode", "cooldownSeconds", "warmup", "maxWarmup", "trials",
+  "rate", "stages", "searchBy", "slo", "maxRate", "scenario", "thinkTime", "targets", "baseline"
+];
+
+// Validate a run request - a POST /api/run body or a schedule's `run` -
+// against everything startBenchmark() resolves. Throws on the first problem;
+// returns the config without the keys a run does not know, as it is queued.
+export function validateRun(testType, config = {}) {
+  if (!testType || !TEST_TYPES[testType]) {
+    throw new Error("Invalid test type");
+  }
+
+  const { maxWorkers, requests, trials, rate } = config;
+  if (maxWorkers !== undefined && !(Number.isInteger(maxWorkers) && maxWorkers >= 1)) {
+    throw new Error("maxWorkers must be a positive integer");
+  }
+  // Request-count mode: requests per target instead of duration
+  if (requests !== undefined && !(Number.isInteger(requests) && requests >= 1)) {
+    throw new Error("requests must be a positive integer");
+  }
+  // Repeat the test for statistics across trials
+  if (trials !== undefined && !(Number.isInteger(trials) && trials >= 1)) {
+    throw new Error("trials must be a positive integer");
+  }
+
+  resolveStorage(testType, config);
+  resolveLoadGenerator(config);
+  resolveExecution(config);
+  resolveWarmup(config);
+  resolveRate({ ...config, rate: rate ?? TEST_TYPES[testType].definition?.load.rate });
+  resolveStages(testType, config);
+  resolveCapacity(testType, config);
+  resolveScenario(testType, config);
+  resolveTargets(config);
+
+  return Object.fromEntries(RUN_CONFIG_KEYS.filter(key => config[key] !== undefined).map(key => [key, config[key]]));
+}
+
+// Validate a schedule: { name, cron, run }, `run` a POST /api/run body.
+// Returns it with `cron` parsed.
+export function resolveSchedule(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("A schedule must be an object");
+  }
+  const { name, cron, run } = raw;
+
+  if (typeof name !== "string" || !/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+    throw new Error("name must be a lowercase id (letters, digits, dashes)");
+  }
+  if (!run || typeof run !== "object" || Array.isArray(run)) {
+    throw new Error(`${name}: run must be a POST /api/run body`);
+  }
+  try {
+    const { testType, ...config } = run;
+    validateRun(testType, config);
+    return { name, cron: parseCron(cron), run, lastRunId: null };
+  } catch (error) {
+    throw new Error(`${name}: ${error.message}`);
+  }
+}
+
+// Load the schedules from SCHEDULES_FILE (none while it does not exist).
+// Schedules that fail validation are reported, not loaded.
+export async function loadSchedules(file = SCHEDULES_FILE) {
+  const loaded = [];
+  const errors = [];
+  if (!(await Bun.file(file).exists())) return { file, loaded, errors };
+
+  const entries = await Bun.file(file).json();
+  if (!Array.isArray(entries)) throw new Error(`${file}: expected an array of schedules`);
+
+  for (const entry of entries) {
+    try {
+      const schedule = resolveSchedule(entry);
+      if (SCHEDULES[schedule.name]) throw new Error(`${schedule.name}: defined twice`);
+      SCHEDULES[schedule.name] = schedule;
+      loaded.push(schedule.name);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  return { file, loaded, errors };
+}
+
+// Queue a schedule's run, unless its previous run has not finished yet.
+// Returns the run id, or null when it was skipped or is no longer valid.
+export async function runSchedule(schedule) {
+  const previous = activeRuns.get(schedule.lastRunId);
+  if (previous && (previous.status === "queued" || previous.status === "running")) {
+    console.warn(`[Schedule] ${schedule.name}: skipped, ${previous.id} is still ${previous.status}`);
+    return null;
+  }
+
+  const { testType, ...config } = schedule.run;
+  try {
+    // Test types and targets may have changed since the schedule was loaded
+    schedule.lastRunId = await startBenchmark(testType, validateRun(testType, config), { trigger: `schedule:${schedule.name}` });
+    console.log(`[Schedule] ${schedule.name}: queued ${schedule.lastRunId}`);
+    return schedule.lastRunId;
+  } catch (error) {
+    console.error(`[Schedule] ${schedule.name}: ${error.message}`);
+    return null;
+  }
+}
+
 // Generate concurrency levels for testing based on max target
 function generateConcurrencyLevels(maxConcurrency) {
   const levels = [];
@@ -72,8 +545,98 @@ function generateConcurrencyLevels(maxConcurrency) {
   return levels.filter(l => l <= maxConcurrency);
 }
 
+// Worker counts for a scaling sweep: 1, 2, 4, ... up to maxWorkers
+function generateWorkerCounts(maxWorkers) {
+  const counts = [];
+  for (let n = 1; n < maxWorkers; n *= 2) {
+    counts.push(n);
+  }
+  counts.push(maxWorkers);
+  return counts;
+}
+
 // Store active runs
 const activeRuns = new Map();
+// AbortController of each queued or running run, for cancelBenchmark()
+const cancellations = new Map();
+// Listeners to each run's live events, for subscribeRun()
+const runListeners = new Map();
+// Per-second time series of each run's load tests by target name, saved as
+// <target>-timeseries.json: one entry per load test, { test, trial, method,
+// endpoint, concurrency, rate, seconds } with the generator's timeline
+// seconds (see loadgen.js). Kept out of the run so status responses stay
+// small.
+const runTimeseries = new Map();
+// Resource samples of each run's tests by target name, saved as
+// <target>-resources.json: one entry per test, { test, trial, source,
+// interval_ms, samples } (see monitorResources)
+const runResources = new Map();
+
+// Follow a run as it happens: listener(event, data) is called with
+//   queued     - { queuePosition }
+//   started    - { startTime }
+//   test-start - { test, trial, targets }: a test starts on these targets
+//   test-end   - { test, trial, targets }
+//   metrics    - the last second of a load test on one target: { target,
+//                endpoint, method, trial, ...a timeline second of
+//                loadgen.js } (built-in generator only)
+//   complete, cancelled, error - the run as getRunStatus() returns it; the
+//                last event of a run
+// Returns a function that unsubscribes.
+export function subscribeRun(runId, listener) {
+  if (!runListeners.has(runId)) runListeners.set(runId, new Set());
+  runListeners.get(runId).add(listener);
+
+  return () => {
+    const listeners = runListeners.get(runId);
+    listeners?.delete(listener);
+    if (listeners?.size === 0) runListeners.delete(runId);
+  };
+}
+
+function emitRunEvent(run, event, data) {
+  for (const listener of runListeners.get(run.id) || []) {
+    try {
+      listener(event, data);
+    } catch (error) {
+      console.warn(`[Runner] Event listener of run ${run.id} failed: ${error.message}`);
+    }
+  }
+}
+
+// onTick of a run's load tests: each second goes into the time series of
+// the target whose URL was loaded and out as a "metrics" event. loadTest is
+// the same object for every second of one load test.
+function recordMetrics(run) {
+  return (tick, loadTest) => {
+    const { url, method, concurrency, rate } = loadTest;
+    const target = run.targets.find(target => url === target.url || url.startsWith(`${target.url}/`));
+    const endpoint = target ? url.slice(target.url.length) || "/" : url;
+
+    const timeseries = runTimeseries.get(run.id);
+    if (target && timeseries) {
+      if (!loadTest.series) {
+        loadTest.series = { test: run.currentTest, trial: run.trial, method, endpoint, concurrency, rate, seconds: [] };
+        (timeseries[target.name] ||= []).push(loadTest.series);
+      }
+      loadTest.series.seconds.push(tick);
+    }
+
+    emitRunEvent(run, "metrics", { target: target?.name ?? null, endpoint, method, trial: run.trial, ...tick });
+  };
+}
+
+// Runs execute one at a time: runs sharing targets (or just the host) would
+// skew each other's results. runQueue holds the running run first, then the
+// queued ones, as the startBenchmark() arguments they were queued with, and
+// is kept in QUEUE_FILE so a restarted dashboard picks them up again.
+const QUEUE_FILE = process.env.QUEUE_FILE || `${RESULTS_DIR}/queue.json`;
+const runQueue = [];
+let queueActive = false;
+
+// Cron-style schedules (see ./schedule.js) from SCHEDULES_FILE, by name
+const SCHEDULES_FILE = process.env.SCHEDULES_FILE || `${RESULTS_DIR}/schedules.json`;
+export const SCHEDULES = {};
 
 // Test configurations
 export const TEST_TYPES = {
@@ -89,6 +652,48 @@ export const TEST_TYPES = {
     type: "throughput",
     description: "Measure requests per second on the health endpoint"
   },
+  "throughput-todos-native": {
+    name: "HTTP Throughput (/api/todos, native)",
+    endpoint: "/api/todos",
+    type: "throughput",
+    variant: "native",
+    description: "Requests per second on the todos endpoint without Express (Bun.serve / node:http)"
+  },
+  "throughput-health-native": {
+    name: "HTTP Throughput (/api/health, native)",
+    endpoint: "/api/health",
+    type: "throughput",
+    variant: "native",
+    description: "Requests per second on the health endpoint without Express (Bun.serve / node:http)"
+  },
+  "crud-mix": {
+    name: "CRUD Read/Write Mix (memory)",
+    endpoint: "/api/todos",
+    type: "crud-mix",
+    writeRatio: 0.2,
+    description: "Concurrent GET /api/todos/:id reads and POST /api/todos writes against the in-memory store"
+  },
+  "crud-mix-sqlite": {
+    name: "CRUD Read/Write Mix (SQLite)",
+    endpoint: "/api/todos",
+    type: "crud-mix",
+    storage: "sqlite",
+    writeRatio: 0.2,
+    description: "Concurrent reads and writes persisted via bun:sqlite vs node:sqlite"
+  },
+  "scaling-todos": {
+    name: "Worker Scaling Sweep (/api/todos)",
+    endpoint: "/api/todos",
+    type: "scaling",
+    description: "Restart each cluster with WORKERS=1,2,4..N and measure how throughput scales with worker count"
+  },
+  "scenario-todos": {
+    name: "User Journey (todo CRUD)",
+    endpoint: "/api/todos",
+    type: "scenario",
+    scenario: "todo-journey",
+    description: "Virtual users create, list, toggle and delete todos with think time, measured per step and end to end"
+  },
   "cpu-heavy": {
     name: "CPU Heavy (100k Sort)",
     endpoint: "/api/cpu-heavy",
@@ -119,6 +724,13 @@ export const TEST_TYPES = {
     type: "concurrent-sessions",
     description: "Test maximum concurrent connections the server can handle"
   },
+  "capacity": {
+    name: "Capacity Search (SLO)",
+    endpoint: "/api/health, /api/todos",
+    endpoints: ["/api/health", "/api/todos"],
+    type: "capacity",
+    description: "Binary-search the highest load each endpoint sustains within the p99 latency and error-rate SLO"
+  },
   "json-processing": {
     name: "JSON Parse/Serialize",
     endpoint: "/api/json-benchmark/medium",
@@ -137,79 +749,677 @@ export const TEST_TYPES = {
 function generateRunId() {
   const now = new Date();
   const timestamp = now.toISOString().replace(/[:.]/g, "-").slice(0, 19);
-  return `run-${timestamp}`;
+  // Runs queued within the same second get a suffix
+  let runId = `run-${timestamp}`;
+  for (let n = 2; activeRuns.has(runId); n++) runId = `run-${timestamp}-${n}`;
+  return runId;
+}
+
+// Latency percentiles kept for every load test (ms). p99_9 is null for hey,
+// which only prints 10/25/50/75/90/95/99%.
+const LATENCY_PERCENTILES = { p50: 50, p75: 75, p90: 90, p95: 95, p99: 99, p99_9: 99.9 };
+
+function secsToMs(secs) {
+  return Math.round(secs * 1e6) / 1000;
+}
+
+// Latency distribution from a built-in load generator histogram (microseconds)
+function latencyFromHistogram(histogram) {
+  const latency = {
+    unit: "ms",
+    count: histogram.count,
+    min: histogram.min / 1000,
+    max: histogram.max / 1000,
+    mean: Math.round(histogram.mean()) / 1000,
+    stddev: Math.round(histogram.stddev()) / 1000
+  };
+  for (const [key, p] of Object.entries(LATENCY_PERCENTILES)) {
+    latency[key] = histogram.percentile(p) / 1000;
+  }
+  // [upper bound ms, count] - 4 buckets per doubling of latency
+  latency.histogram = histogram.coarseBuckets(4).map(([upper, count]) => [Math.round(upper) / 1000, count]);
+  return latency;
 }
 
-// Parse hey output to extract metrics
+// Parse hey output to extract metrics. Lines are attributed to the section
+// they appear in, so e.g. "Average" in the details block is never mistaken
+// for the summary average.
 function parseHeyOutput(output) {
   const lines = output.split("\n");
-  let rps = 0, avgLatency = "0", p99Latency = "0", totalRequests = 0, totalBytes = 0;
+  let rps = 0, avgSecs = 0, totalRequests = 0, totalBytes = 0, elapsedSecs = 0, errors = 0;
+  const statusCodes = {};
+  const latency = {
+    unit: "ms",
+    count: 0,
+    min: null,
+    max: null,
+    mean: null,
+    stddev: null,
+    ...Object.fromEntries(Object.keys(LATENCY_PERCENTILES).map(key => [key, null])),
+    histogram: []
+  };
+  let section = "";
 
   for (const line of lines) {
-    if (line.includes("Requests/sec:")) {
-      rps = parseFloat(line.split(":")[1]?.trim()) || 0;
+    if (/^\S/.test(line)) {
+      if (line.startsWith("Summary:")) section = "summary";
+      else if (line.startsWith("Response time histogram:")) section = "histogram";
+      else if (line.startsWith("Latency distribution:")) section = "percentiles";
+      else if (line.startsWith("Status code distribution:")) section = "status";
+      else if (line.startsWith("Error distribution:")) section = "errors";
+      else section = "";
+      continue;
     }
-    if (line.includes("Average:") && !avgLatency.includes(".")) {
-      avgLatency = line.split(":")[1]?.trim()?.split(" ")[0] || "0";
+
+    const [label, rest = ""] = line.split(/:\s+/, 2).map(part => part.trim());
+    const value = parseFloat(rest);
+
+    if (section === "summary") {
+      if (label === "Total") elapsedSecs = value || 0;
+      else if (label === "Slowest") latency.max = secsToMs(value);
+      else if (label === "Fastest") latency.min = secsToMs(value);
+      else if (label === "Average") avgSecs = value || 0;
+      else if (label === "Requests/sec") rps = value || 0;
+      else if (label === "Total data") {
+        const match = rest.match(/([\d.]+)\s*(\w+)/);
+        if (match) {
+          totalBytes = parseFloat(match[1]);
+          const unit = match[2].toLowerCase();
+          if (unit === 'kb' || unit === 'kilobytes') totalBytes *= 1024;
+          else if (unit === 'mb' || unit === 'megabytes') totalBytes *= 1024 * 1024;
+          else if (unit === 'gb' || unit === 'gigabytes') totalBytes *= 1024 * 1024 * 1024;
+        }
+      }
+    } else if (section === "histogram") {
+      // "  0.003 [100]\t|■■■■"
+      const match = line.match(/^\s*([\d.]+)\s+\[(\d+)\]/);
+      if (match) latency.histogram.push([secsToMs(parseFloat(match[1])), parseInt(match[2])]);
+    } else if (section === "percentiles") {
+      // "  99% in 0.0123 secs"
+      const match = line.match(/^\s*([\d.]+)%\s+in\s+([\d.]+)/);
+      const key = match && Object.keys(LATENCY_PERCENTILES).find(k => LATENCY_PERCENTILES[k] === parseFloat(match[1]));
+      if (key) latency[key] = secsToMs(parseFloat(match[2]));
+    } else if (section === "status") {
+      // "  [200]\t1234 responses"
+      const match = line.match(/^\s*\[(\d+)\]\s+(\d+)/);
+      if (match) {
+        statusCodes[match[1]] = parseInt(match[2]);
+        totalRequests += parseInt(match[2]);
+      }
+    } else if (section === "errors") {
+      // "  [12]\tGet http://...: dial tcp ..."
+      const match = line.match(/^\s*\[(\d+)\]/);
+      if (match) errors += parseInt(match[1]);
+    }
+  }
+
+  latency.count = totalRequests;
+  latency.mean = secsToMs(avgSecs);
+
+  return {
+    rps,
+    avgLatency: avgSecs.toFixed(4),
+    p99Latency: latency.p99 !== null ? (latency.p99 / 1000).toFixed(4) : "0",
+    totalRequests,
+    totalBytes,
+    elapsedSecs,
+    errors,
+    statusCodes,
+    latency
+  };
+}
+
+// Duration strings as accepted by hey -z: 500ms, 30s, 2m, 1h
+const DURATION_PATTERN = /^(\d+(?:\.\d+)?)(ms|s|m|h)?$/;
+
+function parseDuration(duration) {
+  const match = String(duration).match(DURATION_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid duration: ${duration}`);
+  }
+  const unitMs = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+  return parseFloat(match[1]) * unitMs[match[2] || "s"];
+}
+
+// Metrics a benchmark definition can compare, read from its load-test result
+function errorRatePercent(result) {
+  const attempts = (result?.total_requests || 0) + (result?.errors || 0);
+  const ok = Object.entries(result?.status_codes || {})
+    .filter(([status]) => status.startsWith("2"))
+    .reduce((sum, [, count]) => sum + count, 0);
+  return attempts > 0 ? (attempts - ok) / attempts * 100 : null;
+}
+
+export const DEFINITION_METRICS = {
+  rps: { unit: "req/s", higherIsBetter: true, value: result => result?.requests_per_second ?? null },
+  ...Object.fromEntries(["mean", ...Object.keys(LATENCY_PERCENTILES), "max"].map(key => [
+    key,
+    { unit: "ms", higherIsBetter: false, value: result => result?.latency?.[key] ?? null }
+  ])),
+  error_rate: { unit: "%", higherIsBetter: false, value: errorRatePercent }
+};
+
+const DEFINITION_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+const LOAD_MODELS = ["closed", "open"];
+const SUMMARY_RULES = ["ratio", "difference"];
+const DEFAULT_DEFINITION_METRICS = ["rps", "p50", "p99", "error_rate"];
+
+// Validate a parsed definition file and turn it into a TEST_TYPES entry
+// (type "definition"). Anything the file leaves out falls back to the run's
+// settings, so only endpoint is required.
+export function resolveDefinition(id, file, raw) {
+  const fail = (message) => { throw new Error(`${file}: ${message}`); };
+
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(id)) {
+    fail("the file name must be a lowercase id (letters, digits, dashes)");
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) fail("expected an object");
+
+  const { name = id, description = "", endpoint, method = "GET", headers = {}, body = null, contentType, variant, storage, load = {}, metrics = DEFAULT_DEFINITION_METRICS, summary = {} } = raw;
+
+  if (typeof endpoint !== "string" || !endpoint.startsWith("/")) fail("endpoint must be a path such as /api/todos");
+  if (!DEFINITION_METHODS.includes(method)) fail(`invalid method ${method} (expected: ${DEFINITION_METHODS.join(", ")})`);
+  if (typeof headers !== "object" || Object.values(headers).some(value => typeof value !== "string")) {
+    fail("headers must map header names to strings");
+  }
+
+  const { model = "closed", duration, concurrency, rate } = load;
+  if (!LOAD_MODELS.includes(model)) fail(`invalid load.model ${model} (expected: ${LOAD_MODELS.join(", ")})`);
+  if (duration !== undefined && !DURATION_PATTERN.test(duration)) fail(`invalid load.duration ${duration}`);
+  if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency > 0)) fail("load.concurrency must be a positive integer");
+  if (model === "open" && !(Number.isFinite(rate) && rate > 0)) fail("an open load model needs load.rate (requests per second)");
+
+  if (!Array.isArray(metrics) || metrics.length === 0) fail("metrics must be a non-empty list");
+  for (const metric of metrics) {
+    if (!DEFINITION_METRICS[metric]) fail(`unknown metric ${metric} (expected: ${Object.keys(DEFINITION_METRICS).join(", ")})`);
+  }
+  const { metric: headline = metrics[0], rule = "ratio", label } = summary;
+  if (!metrics.includes(headline)) fail(`summary.metric ${headline} is not one of the compared metrics`);
+  if (!SUMMARY_RULES.includes(rule)) fail(`invalid summary.rule ${rule} (expected: ${SUMMARY_RULES.join(", ")})`);
+
+  return {
+    name,
+    endpoint,
+    type: "definition",
+    ...(variant ? { variant } : {}),
+    ...(storage ? { storage } : {}),
+    description,
+    source: "definition",
+    file,
+    definition: {
+      id,
+      endpoint,
+      method,
+      headers,
+      // Objects are sent as JSON, strings as they are
+      body: body === null ? null : typeof body === "string" ? body : JSON.stringify(body),
+      contentType: body === null ? null : contentType || (typeof body === "string" ? "text/plain" : "application/json"),
+      load: { model, duration: duration ?? null, concurrency: concurrency ?? null, rate: model === "open" ? rate : null },
+      metrics,
+      summary: { metric: headline, rule, label: label || `${DEFINITION_METRICS[headline].unit} (${headline})` }
     }
-    if (line.includes("99%")) {
-      const parts = line.trim().split(/\s+/);
-      p99Latency = parts[1] || "0";
+  };
+}
+
+// (Re)load the definition files into TEST_TYPES, replacing the ones loaded
+// before. Files that fail to parse or validate are reported, not loaded;
+// built-in test types cannot be redefined.
+export async function loadDefinitions(dir) {
+  const entries = await readDefinitions(dir);
+  for (const [id, test] of Object.entries(TEST_TYPES)) {
+    if (test.type === "definition") delete TEST_TYPES[id];
+  }
+
+  const loaded = [];
+  const errors = [];
+  for (const { id, file, definition, error } of entries) {
+    try {
+      if (error) throw new Error(error);
+      if (TEST_TYPES[id]) throw new Error(`${file}: test type ${id} already exists`);
+      TEST_TYPES[id] = resolveDefinition(id, file, definition);
+      loaded.push(id);
+    } catch (validationError) {
+      errors.push({ file, error: validationError.message });
     }
-    if (line.includes("Total:") && totalRequests === 0) {
-      totalRequests = parseFloat(line.split(":")[1]?.trim()?.split(" ")[0]) || 0;
+  }
+  return { loaded, errors };
+}
+
+// Improvement of a target over the baseline, > 1 when the target did better:
+// target / baseline for values where higher is better, baseline / target for
+// times. "N/A" when either side has no value.
+function improvementRatio(value, baselineValue, higherIsBetter) {
+  const [better, worse] = higherIsBetter ? [value, baselineValue] : [baselineValue, value];
+  return Number.isFinite(better) && worse > 0 ? (better / worse).toFixed(2) : "N/A";
+}
+
+// One metric of a definition for a target, against the baseline. "ratio" is
+// the usual improvement; "difference" is how much better the target did, in
+// the metric's unit (negative = the baseline did better).
+function compareDefinitionMetric(metric, result, baselineResult, rule = "ratio") {
+  const { higherIsBetter, value } = DEFINITION_METRICS[metric];
+  const target = value(result);
+  const baseline = value(baselineResult);
+
+  let improvement = improvementRatio(target, baseline, higherIsBetter);
+  if (rule === "difference") {
+    improvement = Number.isFinite(target) && Number.isFinite(baseline)
+      ? (higherIsBetter ? target - baseline : baseline - target).toFixed(2)
+      : "N/A";
+  }
+  return { value: target, improvement };
+}
+
+// Warmup options of a run for warmUp(), or null when warmup is off
+function warmupOptions(run) {
+  const { warmup = "off", maxWarmup = DEFAULT_MAX_WARMUP } = run.config;
+  if (warmup === "off") return null;
+  if (warmup === "auto") return { mode: "auto", maxDurationMs: parseDuration(maxWarmup) };
+  return { mode: "fixed", durationMs: parseDuration(warmup) };
+}
+
+// Longest a single warmup can take under these options
+function warmupBudgetSecs(warmup) {
+  if (!warmup) return 0;
+  return (warmup.mode === "fixed" ? warmup.durationMs : warmup.maxDurationMs) / 1000;
+}
+
+// Load profile of a run for runLoad(), or null without stages
+function loadProfile(run) {
+  const stages = run.config.stages;
+  if (!stages) return null;
+  const by = stages[0].rate !== undefined ? "rate" : "concurrency";
+  return {
+    by,
+    stages: stages.map(stage => ({ durationMs: parseDuration(stage.duration), target: stage[by], ramp: stage.ramp }))
+  };
+}
+
+// Load options of a run: which generator, request-count mode (requests per
+// target instead of the test's duration) when set, open-loop rate or load
+// profile, the warmup, how many targets are loaded at once, the run's
+// cancellation signal and where its per-second metrics go
+function loadOptions(run) {
+  return {
+    signal: runSignal(run),
+    onTick: recordMetrics(run),
+    parallelTargets: run.config.executionMode === "sequential" ? 1 : run.targets.length,
+    generator: run.config.loadGenerator,
+    requests: run.config.requests,
+    rate: run.config.rate,
+    profile: loadProfile(run),
+    warmup: warmupOptions(run)
+  };
+}
+
+// Part of a run's load for one side of a split test (CRUD mix readers and
+// writers): open-loop rates and profile targets scaled by `share`
+function shareLoad(load, share) {
+  return {
+    ...load,
+    rate: load.rate && load.rate * share,
+    profile: load.profile && {
+      ...load.profile,
+      stages: load.profile.stages.map(stage => ({ ...stage, target: stage.target * share }))
     }
-    if (line.includes("Total data:")) {
-      const match = line.match(/Total data:\s+([\d.]+)\s*(\w+)/);
-      if (match) {
-        totalBytes = parseFloat(match[1]);
-        const unit = match[2].toLowerCase();
-        if (unit === 'kb' || unit === 'kilobytes') totalBytes *= 1024;
-        else if (unit === 'mb' || unit === 'megabytes') totalBytes *= 1024 * 1024;
-        else if (unit === 'gb' || unit === 'gigabytes') totalBytes *= 1024 * 1024 * 1024;
-      }
+  };
+}
+
+// Per-stage metrics of a profiled load test, latency in ms like the totals
+function stageResults(stages) {
+  return stages.map((stage, i) => ({
+    stage: i + 1,
+    duration_ms: stage.durationMs,
+    ramp: stage.ramp,
+    target: stage.target,
+    requests_per_second: stage.completed / (stage.durationMs / 1000),
+    total_requests: stage.completed,
+    errors: stage.failed,
+    ...(stage.offered > 0 ? { offered: stage.offered, dropped: stage.dropped, late: stage.late } : {}),
+    latency: latencyFromHistogram(stage.histogram)
+  }));
+}
+
+// Run one load test against a URL with the selected generator. Returns the
+// same metrics for both backends: average and p99 as seconds strings (like
+// hey prints them) plus the full latency distribution in ms.
+//   request - { duration, concurrency, method, bodyFile, contentType }
+//   load    - loadOptions(run)
+async function runLoadTest(url, request, load = {}) {
+  const { duration, concurrency, method = "GET", headers = {}, bodyFile, contentType } = request;
+  const generator = load.generator || DEFAULT_LOAD_GENERATOR;
+  const requests = load.requests || 0;
+  const rate = load.rate || 0;
+  const profile = load.profile || null;
+
+  if (generator === "hey") {
+    const args = requests > 0 ? ["-n", requests, "-c", concurrency] : ["-z", duration, "-c", concurrency];
+    if (method !== "GET") args.push("-m", method);
+    if (bodyFile) args.push("-D", bodyFile);
+    if (contentType) args.push("-T", contentType);
+    for (const [header, value] of Object.entries(headers)) args.push("-H", `${header}: ${value}`);
+
+    // Spawned rather than run through Bun Shell so a cancelled run can kill it
+    const hey = Bun.spawn(["hey", ...args.map(String), url], { stdout: "pipe", stderr: "pipe", signal: load.signal });
+    const [output, errorOutput] = await Promise.all([new Response(hey.stdout).text(), new Response(hey.stderr).text(), hey.exited]);
+    load.signal?.throwIfAborted();
+    if (hey.exitCode !== 0) {
+      throw new Error(`hey exited with code ${hey.exitCode}: ${errorOutput.trim()}`);
     }
+    return { generator, ...parseHeyOutput(output), rawOutput: output };
   }
 
-  return { rps, avgLatency, p99Latency, totalRequests, totalBytes };
+  // What load.onTick gets with every second of this load test
+  const loadTest = { url, method, concurrency, rate };
+  const result = await runLoad({
+    url,
+    method,
+    headers: contentType ? { ...headers, "Content-Type": contentType } : headers,
+    body: bodyFile ? await Bun.file(bodyFile).arrayBuffer() : null,
+    // A concurrency profile opens as many connections as its highest stage
+    concurrency: profile?.by === "concurrency" ? Math.max(...profile.stages.map(stage => Math.round(stage.target))) : concurrency,
+    durationMs: parseDuration(duration),
+    requests,
+    rate,
+    profile,
+    parallelTargets: load.parallelTargets,
+    signal: load.signal,
+    onTick: load.onTick && ((tick) => load.onTick(tick, loadTest))
+  });
+
+  return {
+    generator,
+    rps: result.requests_per_second,
+    avgLatency: (result.histogram.mean() / 1e6).toFixed(4),
+    p99Latency: (result.histogram.percentile(99) / 1e6).toFixed(4),
+    totalRequests: result.completed,
+    totalBytes: result.bytes_received,
+    elapsedSecs: result.elapsed_ms / 1000,
+    errors: result.failed,
+    errorReasons: result.errors,
+    statusCodes: result.status_codes,
+    latency: latencyFromHistogram(result.histogram),
+    openLoop: result.open_loop && { ...result.open_loop, max_send_lag_ms: +result.open_loop.max_send_lag_ms.toFixed(2) },
+    stages: result.stages && stageResults(result.stages)
+  };
 }
 
-// Run throughput test using hey
-async function runThroughputTest(name, url, endpoint, duration, concurrency) {
+// Warm a target up with the request a load test is about to measure: 1s
+// load slices at the test's concurrency, sampling each slice's mean latency
+// (ms). Resolves with the warmup report plus the first and steady-state
+// slices' throughput, or null when warmup is off.
+const WARMUP_SLICE = "1s";
+
+async function warmUpLoad(url, request, load = {}) {
+  if (!load.warmup) return null;
+
+  const rps = [];
+  const report = await warmUp(async () => {
+    const metrics = await runLoadTest(url, { ...request, duration: WARMUP_SLICE }, { generator: load.generator, rate: load.rate, parallelTargets: load.parallelTargets, signal: load.signal });
+    if (metrics.totalRequests === 0) return null;
+    rps.push(metrics.rps);
+    return metrics.latency.mean;
+  }, load.warmup);
+
+  const recent = rps.slice(-STEADY_STATE_WINDOW);
+  return {
+    ...report,
+    unit: "ms",
+    pre_warmup_rps: rps.length > 0 ? rps[0] : null,
+    post_warmup_rps: recent.length > 0 ? recent.reduce((a, b) => a + b, 0) / recent.length : null
+  };
+}
+
+// Run throughput test
+async function runThroughputTest(name, url, endpoint, duration, concurrency, load = {}) {
   const fullUrl = `${url}${endpoint}`;
 
   try {
-    const result = await $`hey -z ${duration} -c ${concurrency} ${fullUrl}`.text();
-    const metrics = parseHeyOutput(result);
+    const warmup = await warmUpLoad(fullUrl, { concurrency }, load);
+    const metrics = await runLoadTest(fullUrl, { duration, concurrency }, load);
 
     return {
       test: name,
       endpoint,
       duration,
       concurrency,
+      load_generator: metrics.generator,
+      warmup,
       requests_per_second: metrics.rps,
       avg_latency_secs: metrics.avgLatency,
       p99_latency_secs: metrics.p99Latency,
       total_requests: metrics.totalRequests,
-      raw_output: result
+      errors: metrics.errors,
+      status_codes: metrics.statusCodes,
+      latency: metrics.latency,
+      open_loop: metrics.openLoop,
+      stages: metrics.stages,
+      raw_output: metrics.rawOutput
+    };
+  } catch (error) {
+    return {
+      test: name,
+      endpoint,
+      error: error.message,
+      requests_per_second: 0
+    };
+  }
+}
+
+// Run a test loaded from a definition file: one load test of its request,
+// with the definition's load model where it sets one
+async function runDefinedTest(name, url, definition, duration, concurrency, load = {}) {
+  const { id, endpoint, method, headers, body, contentType } = definition;
+  const fullUrl = `${url}${endpoint}`;
+  const model = definition.load;
+
+  try {
+    let bodyFile;
+    if (body !== null) {
+      bodyFile = `/tmp/definition-${id}.body`;
+      await Bun.write(bodyFile, body);
+    }
+
+    const request = {
+      concurrency: model.concurrency || concurrency,
+      method,
+      headers,
+      bodyFile,
+      contentType
+    };
+    const definedLoad = { ...load, rate: load.rate || model.rate };
+    const warmup = await warmUpLoad(fullUrl, request, definedLoad);
+    const metrics = await runLoadTest(fullUrl, { ...request, duration: model.duration || duration }, definedLoad);
+
+    return {
+      test: name,
+      endpoint,
+      type: "definition",
+      definition: id,
+      method,
+      duration: model.duration || duration,
+      concurrency: request.concurrency,
+      load_generator: metrics.generator,
+      warmup,
+      requests_per_second: metrics.rps,
+      avg_latency_secs: metrics.avgLatency,
+      p99_latency_secs: metrics.p99Latency,
+      total_requests: metrics.totalRequests,
+      errors: metrics.errors,
+      status_codes: metrics.statusCodes,
+      latency: metrics.latency,
+      open_loop: metrics.openLoop,
+      raw_output: metrics.rawOutput
+    };
+  } catch (error) {
+    return {
+      test: name,
+      endpoint,
+      error: error.message,
+      requests_per_second: 0
+    };
+  }
+}
+
+// Per-step (or per-flow) metrics of a scenario, latency in ms
+function scenarioMetrics(entries) {
+  return Object.fromEntries(Object.entries(entries).map(([name, { histogram, ...counts }]) => [
+    name,
+    { ...counts, latency: latencyFromHistogram(histogram) }
+  ]));
+}
+
+// Run User Journey scenario test
+async function runScenarioTest(name, url, scenarioName, duration, concurrency, thinkTime, load = {}) {
+  const scenario = SCENARIOS[scenarioName];
+  const thinkTimeMs = parseDuration(thinkTime);
+
+  try {
+    // Warm up with 1s slices of the journey without think time, sampling
+    // the mean end-to-end latency
+    const warmup = load.warmup && await warmUp(async () => {
+      const slice = await runScenario({ url, scenario, users: concurrency, durationMs: parseDuration(WARMUP_SLICE), signal: load.signal });
+      return slice.histogram.count > 0 ? slice.histogram.mean() / 1000 : null;
+    }, load.warmup);
+
+    const result = await runScenario({ url, scenario, users: concurrency, durationMs: parseDuration(duration), thinkTimeMs, signal: load.signal });
+    const steps = scenarioMetrics(result.steps);
+    const totalRequests = Object.values(steps).reduce((sum, step) => sum + step.requests, 0);
+    const elapsedSecs = result.elapsed_ms / 1000;
+
+    return {
+      test: name,
+      endpoint: "/api/todos",
+      type: "scenario",
+      scenario: scenarioName,
+      duration,
+      concurrency,
+      think_time: thinkTime,
+      warmup: warmup ? { ...warmup, unit: "ms" } : null,
+      iterations: result.iterations,
+      failed_iterations: result.failed_iterations,
+      iterations_per_second: result.iterations / elapsedSecs,
+      requests_per_second: totalRequests / elapsedSecs,
+      total_requests: totalRequests,
+      errors: Object.values(steps).reduce((sum, step) => sum + step.failed, 0),
+      // End to end: response time of a whole successful journey
+      avg_latency_secs: (result.histogram.mean() / 1e6).toFixed(4),
+      p99_latency_secs: (result.histogram.percentile(99) / 1e6).toFixed(4),
+      end_to_end: latencyFromHistogram(result.histogram),
+      flows: scenarioMetrics(result.flows),
+      steps
+    };
+  } catch (error) {
+    return {
+      test: name,
+      endpoint: "/api/todos",
+      error: error.message,
+      requests_per_second: 0
+    };
+  }
+}
+
+// Run CRUD read/write mix test
+// Splits the connections between point reads of one todo and inserts of new
+// ones, so write locks and read queries hit the store at the same time.
+async function runCrudMixTest(name, url, duration, concurrency, writeRatio = 0.2, load = {}) {
+  const endpoint = "/api/todos";
+  const writers = Math.max(1, Math.round(concurrency * writeRatio));
+  const readers = Math.max(1, concurrency - writers);
+
+  // JSON body for the write requests
+  const payloadFile = "/tmp/crud-mix-todo.json";
+  await Bun.write(payloadFile, JSON.stringify({ title: "Benchmark todo" }));
+
+  try {
+    // Seed the todo that readers fetch
+    const seedResponse = await fetch(`${url}${endpoint}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ title: "CRUD mix seed" }),
+      signal: load.signal
+    });
+    const seed = await seedResponse.json();
+
+    const readRequest = { concurrency: readers };
+    const writeRequest = { concurrency: writers, method: "POST", bodyFile: payloadFile, contentType: "application/json" };
+    // Open-loop rates and load profiles are split like the connections
+    const readLoad = shareLoad(load, readers / (readers + writers));
+    const writeLoad = shareLoad(load, writers / (readers + writers));
+
+    // Warm both paths at once, so the mix is measured as it runs
+    const [readWarmup, writeWarmup] = await Promise.all([
+      warmUpLoad(`${url}${endpoint}/${seed.id}`, readRequest, readLoad),
+      warmUpLoad(`${url}${endpoint}`, writeRequest, writeLoad)
+    ]);
+    const [reads, writes] = await Promise.all([
+      runLoadTest(`${url}${endpoint}/${seed.id}`, { ...readRequest, duration }, readLoad),
+      runLoadTest(`${url}${endpoint}`, { ...writeRequest, duration }, writeLoad)
+    ]);
+
+    return {
+      test: name,
+      endpoint,
+      type: "crud-mix",
+      duration,
+      concurrency,
+      read_concurrency: readers,
+      write_concurrency: writers,
+      load_generator: reads.generator,
+      requests_per_second: reads.rps + writes.rps,
+      total_requests: reads.totalRequests + writes.totalRequests,
+      errors: reads.errors + writes.errors,
+      reads: {
+        requests_per_second: reads.rps,
+        avg_latency_secs: reads.avgLatency,
+        p99_latency_secs: reads.p99Latency,
+        total_requests: reads.totalRequests,
+        errors: reads.errors,
+        latency: reads.latency,
+        open_loop: reads.openLoop,
+        stages: reads.stages,
+        warmup: readWarmup
+      },
+      writes: {
+        requests_per_second: writes.rps,
+        avg_latency_secs: writes.avgLatency,
+        p99_latency_secs: writes.p99Latency,
+        total_requests: writes.totalRequests,
+        errors: writes.errors,
+        latency: writes.latency,
+        open_loop: writes.openLoop,
+        stages: writes.stages,
+        warmup: writeWarmup
+      },
+      raw_output: reads.rawOutput && { reads: reads.rawOutput, writes: writes.rawOutput }
     };
   } catch (error) {
     return {
       test: name,
       endpoint,
+      type: "crud-mix",
       error: error.message,
       requests_per_second: 0
     };
   }
 }
 
+// Warm a target up by repeating an iteration test's request; sample(data)
+// picks the server-reported duration (ms) out of the JSON response
+function warmUpIterations(url, warmup, sample, signal = null) {
+  if (!warmup) return null;
+  return warmUp(async () => sample(await (await fetch(url, { signal })).json()), warmup);
+}
+
 // Run CPU-heavy test
-async function runCpuTest(name, url, iterations = 10) {
+async function runCpuTest(name, url, iterations = 10, warmup = null, signal = null) {
+  const warmupReport = await warmUpIterations(`${url}/api/cpu-heavy`, warmup, data => data.duration_ms, signal);
   const times = [];
 
   for (let i = 0; i < iterations; i++) {
+    signal?.throwIfAborted();
     try {
-      const response = await fetch(`${url}/api/cpu-heavy`);
+      const response = await fetch(`${url}/api/cpu-heavy`, { signal });
       const data = await response.json();
       times.push(data.duration_ms);
     } catch (error) {
@@ -228,6 +1438,7 @@ async function runCpuTest(name, url, iterations = 10) {
     test: name,
     operation: "generate_and_sort_100k_numbers",
     iterations,
+    warmup: warmupReport,
     avg_duration_ms: avgTime,
     min_duration_ms: minTime,
     max_duration_ms: maxTime,
@@ -236,13 +1447,15 @@ async function runCpuTest(name, url, iterations = 10) {
 }
 
 // Run Fibonacci test
-async function runFibonacciTest(name, url, n = 40, iterations = 5) {
+async function runFibonacciTest(name, url, n = 40, iterations = 5, warmup = null, signal = null) {
+  const warmupReport = await warmUpIterations(`${url}/api/fibonacci/${n}`, warmup, data => data.duration_ms, signal);
   const times = [];
   let result = 0;
 
   for (let i = 0; i < iterations; i++) {
+    signal?.throwIfAborted();
     try {
-      const response = await fetch(`${url}/api/fibonacci/${n}`);
+      const response = await fetch(`${url}/api/fibonacci/${n}`, { signal });
       const data = await response.json();
       times.push(data.duration_ms);
       result = data.result;
@@ -262,26 +1475,27 @@ async function runFibonacciTest(name, url, n = 40, iterations = 5) {
     n,
     result,
     iterations,
+    warmup: warmupReport,
     avg_duration_ms: avgTime,
     all_durations_ms: times
   };
 }
 
 // Run Network Egress test (download throughput)
-async function runNetworkEgressTest(name, url, duration, concurrency) {
+async function runNetworkEgressTest(name, url, duration, concurrency, load = {}) {
   // Download 1MB payloads to measure egress throughput
   const payloadSizeKB = 1024; // 1MB
   const endpoint = `/api/network/download/${payloadSizeKB}`;
   const fullUrl = `${url}${endpoint}`;
 
   try {
-    const result = await $`hey -z ${duration} -c ${concurrency} ${fullUrl}`.text();
-    const metrics = parseHeyOutput(result);
+    const warmup = await warmUpLoad(fullUrl, { concurrency }, load);
+    const metrics = await runLoadTest(fullUrl, { duration, concurrency }, load);
 
     // Calculate throughput in Mbps
-    // Total data transferred / duration in seconds = bytes per second
+    // Total data transferred / elapsed seconds = bytes per second
     // Convert to Mbps: (bytes/sec * 8) / 1,000,000
-    const durationSecs = parseFloat(duration.replace('s', ''));
+    const durationSecs = metrics.elapsedSecs || parseDuration(duration) / 1000;
     const bytesPerSecond = metrics.totalBytes / durationSecs;
     const mbps = (bytesPerSecond * 8) / 1000000;
 
@@ -292,6 +1506,8 @@ async function runNetworkEgressTest(name, url, duration, concurrency) {
       duration,
       concurrency,
       payload_size_kb: payloadSizeKB,
+      load_generator: metrics.generator,
+      warmup,
       total_requests: metrics.totalRequests,
       total_bytes: metrics.totalBytes,
       total_mb: (metrics.totalBytes / (1024 * 1024)).toFixed(2),
@@ -299,7 +1515,11 @@ async function runNetworkEgressTest(name, url, duration, concurrency) {
       throughput_mbps: mbps.toFixed(2),
       avg_latency_secs: metrics.avgLatency,
       p99_latency_secs: metrics.p99Latency,
-      raw_output: result
+      errors: metrics.errors,
+      latency: metrics.latency,
+      open_loop: metrics.openLoop,
+      stages: metrics.stages,
+      raw_output: metrics.rawOutput
     };
   } catch (error) {
     return {
@@ -313,7 +1533,7 @@ async function runNetworkEgressTest(name, url, duration, concurrency) {
 }
 
 // Run Network Inbound test (upload throughput)
-async function runNetworkInboundTest(name, url, duration, concurrency) {
+async function runNetworkInboundTest(name, url, duration, concurrency, load = {}) {
   // Upload 1MB payloads to measure inbound throughput
   const payloadSizeKB = 1024; // 1MB
   const endpoint = `/api/network/upload`;
@@ -329,12 +1549,12 @@ async function runNetworkInboundTest(name, url, duration, concurrency) {
   }
 
   try {
-    // Use hey with POST method and body
-    const result = await $`hey -z ${duration} -c ${concurrency} -m POST -D ${payloadFile} -T "application/octet-stream" ${fullUrl}`.text();
-    const metrics = parseHeyOutput(result);
+    const request = { concurrency, method: "POST", bodyFile: payloadFile, contentType: "application/octet-stream" };
+    const warmup = await warmUpLoad(fullUrl, request, load);
+    const metrics = await runLoadTest(fullUrl, { ...request, duration }, load);
 
     // Calculate throughput in Mbps
-    const durationSecs = parseFloat(duration.replace('s', ''));
+    const durationSecs = metrics.elapsedSecs || parseDuration(duration) / 1000;
     const totalUploadedBytes = metrics.totalRequests * payloadSizeKB * 1024;
     const bytesPerSecond = totalUploadedBytes / durationSecs;
     const mbps = (bytesPerSecond * 8) / 1000000;
@@ -346,6 +1566,8 @@ async function runNetworkInboundTest(name, url, duration, concurrency) {
       duration,
       concurrency,
       payload_size_kb: payloadSizeKB,
+      load_generator: metrics.generator,
+      warmup,
       total_requests: metrics.totalRequests,
       total_uploaded_bytes: totalUploadedBytes,
       total_uploaded_mb: (totalUploadedBytes / (1024 * 1024)).toFixed(2),
@@ -353,7 +1575,11 @@ async function runNetworkInboundTest(name, url, duration, concurrency) {
       throughput_mbps: mbps.toFixed(2),
       avg_latency_secs: metrics.avgLatency,
       p99_latency_secs: metrics.p99Latency,
-      raw_output: result
+      errors: metrics.errors,
+      latency: metrics.latency,
+      open_loop: metrics.openLoop,
+      stages: metrics.stages,
+      raw_output: metrics.rawOutput
     };
   } catch (error) {
     return {
@@ -367,7 +1593,7 @@ async function runNetworkInboundTest(name, url, duration, concurrency) {
 }
 
 // Run Concurrent Sessions test
-async function runConcurrentSessionsTest(name, url, duration, maxConcurrency = 2000) {
+async function runConcurrentSessionsTest(name, url, duration, maxConcurrency = 2000, load = {}) {
   const endpoint = `/api/network/hold/1000`; // Hold each connection for 1 second
   const fullUrl = `${url}${endpoint}`;
 
@@ -382,16 +1608,18 @@ async function runConcurrentSessionsTest(name, url, duration, maxConcurrency = 2
     if (concurrency > maxConcurrency) break;
 
     try {
-      // Short duration test at each level
-      const result = await $`hey -z 10s -c ${concurrency} ${fullUrl}`.text();
-      const metrics = parseHeyOutput(result);
-
-      // Check for errors in output
-      const errorMatch = result.match(/\[(\d+)\]\s+Get.*error/g);
-      const errors = errorMatch ? errorMatch.length : 0;
-      const successRate = metrics.totalRequests > 0
-        ? ((metrics.totalRequests - errors) / metrics.totalRequests * 100).toFixed(1)
-        : 0;
+      // Short duration test at each level (always time-based - each level
+      // has to hold its connections for a while, closed loop). No warmup:
+      // the hold endpoint's latency is its 1s timer, not JIT-compiled work.
+      const metrics = await runLoadTest(fullUrl, { duration, concurrency }, { generator: load.generator, parallelTargets: load.parallelTargets, signal: load.signal, onTick: load.onTick });
+
+      // Success = 2xx responses out of all attempts (responses + transport errors)
+      const errors = metrics.errors;
+      const ok = Object.entries(metrics.statusCodes)
+        .filter(([status]) => status.startsWith("2"))
+        .reduce((sum, [, count]) => sum + count, 0);
+      const attempts = metrics.totalRequests + errors;
+      const successRate = attempts > 0 ? (ok / attempts * 100).toFixed(1) : 0;
 
       results.push({
         concurrency,
@@ -399,7 +1627,8 @@ async function runConcurrentSessionsTest(name, url, duration, maxConcurrency = 2
         requests_per_second: metrics.rps,
         avg_latency_secs: metrics.avgLatency,
         success_rate: successRate,
-        errors
+        errors,
+        latency: metrics.latency
       });
 
       // If success rate drops below 95%, stop testing higher levels
@@ -432,7 +1661,8 @@ async function runConcurrentSessionsTest(name, url, duration, maxConcurrency = 2
     test: name,
     endpoint,
     type: "concurrent-sessions",
-    duration: "10s per level",
+    duration: `${duration} per level`,
+    load_generator: load.generator || DEFAULT_LOAD_GENERATOR,
     tested_levels: results,
     max_sustained_concurrency: maxSustainedConcurrency,
     target_concurrency: maxConcurrency,
@@ -440,15 +1670,124 @@ async function runConcurrentSessionsTest(name, url, duration, maxConcurrency = 2
   };
 }
 
+// Capacity search stops once the highest passing and lowest failing levels
+// are within CAPACITY_TOLERANCE of each other, or after MAX_CAPACITY_PROBES
+const CAPACITY_TOLERANCE = 0.05;
+const MAX_CAPACITY_PROBES = 12;
+
+// Load one endpoint at `level` (req/s or connections) and check it against
+// the SLO
+async function probeCapacity(url, duration, level, capacity, maxConcurrency, load = {}) {
+  const byRate = capacity.searchBy === "rate";
+  try {
+    const metrics = await runLoadTest(
+      url,
+      { duration, concurrency: byRate ? maxConcurrency : level },
+      { generator: load.generator, rate: byRate ? level : 0, parallelTargets: load.parallelTargets, signal: load.signal, onTick: load.onTick }
+    );
+
+    // Errors = everything but 2xx, out of all attempts including dropped arrivals
+    const ok = Object.entries(metrics.statusCodes)
+      .filter(([status]) => status.startsWith("2"))
+      .reduce((sum, [, count]) => sum + count, 0);
+    const attempts = metrics.totalRequests + metrics.errors + (metrics.openLoop?.dropped || 0);
+    const errorRate = attempts > 0 ? (attempts - ok) / attempts : 1;
+    const p99 = metrics.latency.p99;
+
+    return {
+      level,
+      requests_per_second: metrics.rps,
+      p99_ms: p99,
+      error_rate: +errorRate.toFixed(4),
+      passed: attempts > 0 && p99 !== null && p99 <= capacity.slo.p99Ms && errorRate <= capacity.slo.errorRate,
+      latency: metrics.latency
+    };
+  } catch (error) {
+    return { level, error: error.message, requests_per_second: 0, passed: false };
+  }
+}
+
+// Binary search between 0 and the configured maximum: `low` is the highest
+// level that met the SLO so far, `high` the lowest that did not
+async function searchCapacity(name, url, endpoint, duration, capacity, maxConcurrency, load = {}) {
+  const upper = capacity.searchBy === "rate" ? capacity.maxRate : maxConcurrency;
+  const unit = capacity.searchBy === "rate" ? "req/s" : "connections";
+  const probes = [];
+  let low = 0;
+  let high = upper + 1;
+  let best = null;
+
+  while (high - low > Math.max(1, Math.ceil(low * CAPACITY_TOLERANCE)) && probes.length < MAX_CAPACITY_PROBES) {
+    load.signal?.throwIfAborted();
+    const level = Math.floor((low + high) / 2);
+    const { latency, ...probe } = await probeCapacity(`${url}${endpoint}`, duration, level, capacity, maxConcurrency, load);
+    console.log(`[Capacity] ${name} ${endpoint} @ ${level} ${unit}: p99 ${probe.p99_ms ?? "-"}ms, errors ${probe.error_rate ?? "-"} - ${probe.passed ? "pass" : "fail"}`);
+    probes.push(probe);
+
+    if (probe.passed) {
+      low = level;
+      best = { ...probe, latency };
+    } else {
+      high = level;
+    }
+  }
+
+  return {
+    max_sustainable: low,
+    // No probe failed, so the limit lies at or above max_sustainable: the
+    // search ran out of range or tolerance before finding it
+    capped: high === upper + 1,
+    requests_per_second: best?.requests_per_second || 0,
+    p99_ms: best?.p99_ms ?? null,
+    error_rate: best?.error_rate ?? null,
+    latency: best?.latency || null,
+    probes
+  };
+}
+
+// Run Capacity Search test
+async function runCapacityTest(name, url, endpoints, duration, concurrency, maxConcurrency, capacity, load = {}) {
+  const results = [];
+
+  for (const endpoint of endpoints) {
+    // Warm up closed loop at the run's concurrency, so the first probes do
+    // not measure the JIT
+    const warmup = await warmUpLoad(`${url}${endpoint}`, { concurrency }, { generator: load.generator, warmup: load.warmup, parallelTargets: load.parallelTargets, signal: load.signal });
+    const search = await searchCapacity(name, url, endpoint, duration, capacity, maxConcurrency, load);
+    results.push({ endpoint, warmup, ...search });
+  }
+
+  // Geometric mean over the endpoints, so each counts the same however fast
+  // it is; its Bun / Node.js ratio is the mean of the per-endpoint ratios
+  const rates = results.map(result => result.requests_per_second);
+  const capacityRps = rates.every(rps => rps > 0)
+    ? Math.exp(rates.reduce((sum, rps) => sum + Math.log(rps), 0) / rates.length)
+    : 0;
+
+  return {
+    test: name,
+    type: "capacity",
+    duration: `${duration} per probe`,
+    load_generator: load.generator || DEFAULT_LOAD_GENERATOR,
+    search_by: capacity.searchBy,
+    slo: { p99_ms: capacity.slo.p99Ms, error_rate: capacity.slo.errorRate },
+    max_level: capacity.searchBy === "rate" ? capacity.maxRate : maxConcurrency,
+    endpoints: results,
+    max_sustainable_rps: +capacityRps.toFixed(2)
+  };
+}
+
 // Run JSON Processing test
-async function runJsonTest(name, url, iterations = 100) {
+async function runJsonTest(name, url, iterations = 100, warmup = null, signal = null) {
   const endpoint = `/api/json-benchmark/medium`;
   const fullUrl = `${url}${endpoint}`;
+  const warmupReport = await warmUpIterations(fullUrl, warmup, data => data.timings_ms.total, signal);
   const results = [];
 
   for (let i = 0; i < iterations; i++) {
+    signal?.throwIfAborted();
     try {
-      const response = await fetch(fullUrl);
+      const response = await fetch(fullUrl, { signal });
       const data = await response.json();
       results.push({
         iteration: i + 1,
@@ -478,6 +1817,7 @@ async function runJsonTest(name, url, iterations = 100) {
     endpoint,
     type: "json",
     iterations,
+    warmup: warmupReport,
     successful_iterations: successful.length,
     avg_stringify_ms: avgStringify.toFixed(3),
     avg_parse_ms: avgParse.toFixed(3),
@@ -486,99 +1826,438 @@ async function runJsonTest(name, url, iterations = 100) {
   };
 }
 
-// Check if services are healthy
-export async function checkServicesHealth() {
-  const results = { bun: null, nodejs: null };
+// Check if services are healthy, by target name (default: every target in
+// the registry)
+export async function checkServicesHealth(targets = Object.values(TARGETS)) {
+  const results = await Promise.all(targets.map(async (target) => {
+    try {
+      const response = await fetch(`${target.url}/api/health`, { signal: AbortSignal.timeout(5000) });
+      return [target.name, await response.json()];
+    } catch (error) {
+      return [target.name, { error: error.message }];
+    }
+  }));
+  return Object.fromEntries(results);
+}
+
+// Fetch the cluster supervisor snapshot (workers, restarts, RSS, requests)
+export async function fetchClusterSnapshot(targetUrl) {
+  try {
+    const response = await fetch(`${adminUrl(targetUrl)}/stats`, { signal: AbortSignal.timeout(5000) });
+    return await response.json();
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+async function captureClusterSnapshots(targets) {
+  const snapshots = await Promise.all(targets.map(target => fetchClusterSnapshot(target.url)));
+  return Object.fromEntries(targets.map((target, i) => [target.name, snapshots[i]]));
+}
+
+// Target resources while a test runs: every RESOURCE_SAMPLE_MS the target's
+// processes report CPU time, memory and event loop lag (see
+// shared/process-metrics.js) - a cluster through the supervisor's GET
+// /metrics, which covers the primary and every worker, a single process
+// through GET /api/metrics
+const RESOURCE_SAMPLE_MS = parseInt(process.env.RESOURCE_SAMPLE_MS) || 1000;
+const RESOURCE_TIMEOUT_MS = 2000;
+
+async function fetchProcessMetrics(targetUrl, clustered) {
+  try {
+    const url = clustered ? `${adminUrl(targetUrl)}/metrics` : `${targetUrl}/api/metrics`;
+    const response = await fetch(url, { signal: AbortSignal.timeout(RESOURCE_TIMEOUT_MS) });
+    if (!response.ok) return null;
+    const body = await response.json();
+    return clustered ? body.processes : [body];
+  } catch {
+    return null;
+  }
+}
+
+// One sample: the target's processes added up. CPU time and requests are
+// what each process used since the previous sample (all of it for a process
+// that was not there yet, e.g. a restarted worker); cpu_percent is of one
+// core, so a cluster can go past 100.
+function resourceSample(processes, previous, elapsedMs) {
+  const before = new Map((previous?.processes || []).map(p => [p.pid, p]));
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+  const cpuMs = sum(processes.map(p => {
+    const last = before.get(p.pid);
+    return p.cpu_user_ms + p.cpu_system_ms - (last ? last.cpu_user_ms + last.cpu_system_ms : 0);
+  }));
+  const requests = sum(processes.map(p => p.requests_total - (before.get(p.pid)?.requests_total || 0)));
+  const lags = processes.map(p => p.event_loop_lag_ms).filter(Boolean);
+  const handles = processes.map(p => p.active_handles).filter(count => count !== null);
+
+  return {
+    elapsed_ms: elapsedMs,
+    processes: processes.length,
+    cpu_ms: previous ? +cpuMs.toFixed(1) : null,
+    cpu_percent: previous ? +(cpuMs / (elapsedMs - previous.sample.elapsed_ms) * 100).toFixed(1) : null,
+    rss_bytes: sum(processes.map(p => p.rss_bytes)),
+    heap_used_bytes: sum(processes.map(p => p.heap_used_bytes)),
+    event_loop_lag_ms: lags.length > 0 ? {
+      mean: +(sum(lags.map(lag => lag.mean)) / lags.length).toFixed(3),
+      p99: Math.max(...lags.map(lag => lag.p99)),
+      max: Math.max(...lags.map(lag => lag.max))
+    } : null,
+    active_handles: handles.length > 0 ? sum(handles) : null,
+    requests: previous ? requests : null
+  };
+}
+
+// Sample a target until stop(), which takes a last sample and resolves all
+// of them. A sample still in flight is not started again, and a target
+// without the metrics endpoint yields no samples.
+function monitorResources(targetUrl, clustered) {
+  const started = performance.now();
+  const samples = [];
+  let previous = null;
+  let pending = null;
+
+  function take() {
+    pending ||= fetchProcessMetrics(targetUrl, clustered).then((processes) => {
+      if (processes?.length) {
+        const sample = resourceSample(processes, previous, Math.round(performance.now() - started));
+        samples.push(sample);
+        previous = { processes, sample };
+      }
+    }).finally(() => { pending = null; });
+    return pending;
+  }
+
+  take();
+  const timer = setInterval(take, RESOURCE_SAMPLE_MS);
+
+  return {
+    async stop() {
+      clearInterval(timer);
+      await pending;
+      await take();
+      return samples;
+    },
+    cancel: () => clearInterval(timer)
+  };
+}
+
+// Averages and peaks of a test's samples, plus what the target served per
+// CPU-second and per MB of RSS. Requests are the ones the target counted
+// while sampled (warmups included). Null with fewer than two samples.
+function summarizeResources(samples) {
+  if (samples.length < 2) return null;
+
+  const measured = samples.slice(1);
+  const mb = bytes => bytes / (1024 * 1024);
+  const avg = values => values.reduce((total, value) => total + value, 0) / values.length;
+  const round = (value, digits = 1) => +value.toFixed(digits);
+  const stats = values => ({ avg: round(avg(values)), peak: round(Math.max(...values)) });
+
+  const durationMs = samples.at(-1).elapsed_ms - samples[0].elapsed_ms;
+  const cpuMs = measured.reduce((total, sample) => total + sample.cpu_ms, 0);
+  const requests = measured.reduce((total, sample) => total + sample.requests, 0);
+  const rssMb = stats(samples.map(sample => mb(sample.rss_bytes)));
+  const lags = samples.map(sample => sample.event_loop_lag_ms).filter(Boolean);
+  const handles = samples.map(sample => sample.active_handles).filter(count => count !== null);
+
+  return {
+    interval_ms: RESOURCE_SAMPLE_MS,
+    samples: samples.length,
+    duration_ms: durationMs,
+    cpu_ms: round(cpuMs),
+    cpu_percent: {
+      avg: durationMs > 0 ? round(cpuMs / durationMs * 100) : 0,
+      peak: round(Math.max(...measured.map(sample => sample.cpu_percent)))
+    },
+    rss_mb: rssMb,
+    heap_used_mb: stats(samples.map(sample => mb(sample.heap_used_bytes))),
+    event_loop_lag_ms: lags.length > 0 ? {
+      avg: round(avg(lags.map(lag => lag.mean)), 3),
+      p99: round(Math.max(...lags.map(lag => lag.p99)), 3),
+      max: round(Math.max(...lags.map(lag => lag.max)), 3)
+    } : null,
+    active_handles: handles.length > 0 ? stats(handles) : null,
+    requests,
+    requests_per_cpu_second: cpuMs > 0 ? round(requests / (cpuMs / 1000)) : null,
+    rps_per_rss_mb: durationMs > 0 && rssMb.avg > 0 ? round(requests / (durationMs / 1000) / rssMb.avg, 2) : null
+  };
+}
+
+// Condense before/after snapshots for the runs index. Request counts are
+// approximate if a worker restarted (its counters start over).
+function summarizeCluster(before, after) {
+  if (!after || after.error) return null;
+  const hasBefore = before && !before.error;
 
-  try {
-    const bunResponse = await fetch(`${BUN_URL}/api/health`);
-    results.bun = await bunResponse.json();
-  } catch (error) {
-    results.bun = { error: error.message };
-  }
+  return {
+    workersAlive: after.workers_alive,
+    workersTotal: after.workers_total,
+    restartsTotal: after.restarts_total,
+    restartsDuringRun: hasBefore ? after.restarts_total - before.restarts_total : null,
+    requestsDuringRun: hasBefore ? after.requests_total - before.requests_total : null,
+    rssTotalMb: (after.rss_total_bytes / (1024 * 1024)).toFixed(1)
+  };
+}
 
-  try {
-    const nodejsResponse = await fetch(`${NODEJS_URL}/api/health`);
-    results.nodejs = await nodejsResponse.json();
-  } catch (error) {
-    results.nodejs = { error: error.message };
+// Restart a target's workers with a new count via the supervisor admin
+// endpoint. Resolves once the new workers are listening.
+async function resizeCluster(targetUrl, count) {
+  const response = await fetch(`${adminUrl(targetUrl)}/workers`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ count }),
+    signal: AbortSignal.timeout(120000)
+  });
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(`Failed to resize ${targetUrl} to ${count} workers: ${body.error || response.status}`);
   }
-
-  return results;
+  return body;
 }
 
-// Start a benchmark run
-export async function startBenchmark(testType, config) {
-  const runId = generateRunId();
-  const { duration = "30s", concurrency = 50, iterations = 10, maxConcurrency = 2000, suiteDurationMinutes = 10 } = config;
+// Queue a benchmark run; it starts once the runs queued before it are done.
+// options.trigger records what queued it ("api" by default, or
+// "schedule:<name>"); restoreQueue() passes the id and queue time it had.
+export async function startBenchmark(testType, config, options = {}) {
+  const runId = options.id || generateRunId();
+  const { trigger = "api", queuedAt = new Date().toISOString() } = options;
+  const { duration = "30s", concurrency = 50, iterations = 10, maxConcurrency = 2000, suiteDurationMinutes = 10, maxWorkers = null, requests = null, trials = 1 } = config;
+  const variants = resolveVariants(testType, config);
+  const storage = resolveStorage(testType, config, variants);
+  const loadGenerator = resolveLoadGenerator(config);
+  const { executionMode, cooldownSeconds } = resolveExecution(config);
+  const { warmup, maxWarmup } = resolveWarmup(config);
+  // A definition's open load model is its default rate
+  const definition = TEST_TYPES[testType]?.definition || null;
+  const rate = resolveRate({ ...config, loadGenerator, rate: config.rate ?? definition?.load.rate });
+  const stages = resolveStages(testType, { ...config, loadGenerator });
+  const capacity = resolveCapacity(testType, { ...config, loadGenerator });
+  const { scenario = null, thinkTime = null } = resolveScenario(testType, { ...config, loadGenerator }) || {};
+  const { targets: targetNames, baseline } = resolveTargets(config);
+
+  // Server implementation and storage only pick the URLs of the built-in
+  // targets; registered targets are benchmarked at their own URL
+  const builtinUrls = STORAGE_BACKENDS[storage] || {
+    bun: SERVER_VARIANTS[variants.bun].bun,
+    nodejs: SERVER_VARIANTS[variants.nodejs].nodejs
+  };
+  const targets = targetNames.map(name => {
+    const { url, runtime, metadata, source } = TARGETS[name];
+    return { name, runtime, url: source === "builtin" ? builtinUrls[name] : url, metadata };
+  });
 
   // Initialize run state
   const run = {
     id: runId,
     testType,
-    config: { duration, concurrency, iterations, maxConcurrency, suiteDurationMinutes },
-    status: "running",
+    config: { duration, concurrency, iterations, maxConcurrency, suiteDurationMinutes, maxWorkers, requests, loadGenerator, variants, storage, executionMode, cooldownSeconds, executionOrder: [], warmup, maxWarmup, trials, rate, stages, capacity, scenario, thinkTime, definition, targets, baseline },
+    targets,
+    trigger,
+    status: "queued",
     progress: 0,
-    progressText: "Initializing...",
-    startTime: new Date().toISOString(),
-    results: { bun: null, nodejs: null },
+    progressText: "Queued",
+    queuedAt,
+    startTime: null,
+    results: {},
+    trials: [],
     summary: null
   };
 
   activeRuns.set(runId, run);
+  cancellations.set(runId, new AbortController());
+  runTimeseries.set(runId, {});
+  runResources.set(runId, {});
+
+  runQueue.push({ id: runId, testType, config, trigger, queuedAt });
+  updateQueuePositions();
+  await saveQueue();
+  emitRunEvent(run, "queued", { queuePosition: run.queuePosition });
 
-  // Run benchmark asynchronously
-  runBenchmarkAsync(runId, testType, duration, concurrency, iterations, maxConcurrency, suiteDurationMinutes);
+  // Run benchmarks asynchronously, one at a time
+  processQueue();
 
   return runId;
 }
 
+// Work through the queue: start the oldest run, wait for it to end, repeat
+// A run that fails outside runBenchmarkAsync()'s own error handling (e.g.
+// saving a cancelled run) is marked failed; the queue moves on either way.
+async function processQueue() {
+  if (queueActive) return;
+  queueActive = true;
+
+  try {
+    while (runQueue.length > 0) {
+      const run = activeRuns.get(runQueue[0].id);
+      try {
+        run.status = "running";
+        run.progressText = "Initializing...";
+        run.startTime = new Date().toISOString();
+        updateQueuePositions();
+        emitRunEvent(run, "started", { startTime: run.startTime });
+
+        const { duration, concurrency, iterations, maxConcurrency, suiteDurationMinutes } = run.config;
+        await runBenchmarkAsync(run.id, run.testType, duration, concurrency, iterations, maxConcurrency, suiteDurationMinutes);
+      } catch (error) {
+        console.error(`[Queue] ${run.id} failed:`, error);
+        if (run.status === "running") {
+          run.status = "error";
+          run.error = error.message;
+          run.progress = 0;
+          run.progressText = `Error: ${error.message}`;
+          run.endTime = new Date().toISOString();
+          emitRunEvent(run, "error", run);
+        }
+      }
+
+      runQueue.shift();
+      await saveQueue();
+    }
+  } finally {
+    queueActive = false;
+  }
+}
+
+// "Queued (2 ahead)": how many runs go before each queued run
+function updateQueuePositions() {
+  runQueue.forEach((entry, i) => {
+    const run = activeRuns.get(entry.id);
+    if (run.status === "queued") {
+      run.queuePosition = i;
+      run.progressText = `Queued (${i} ahead)`;
+    } else {
+      delete run.queuePosition;
+    }
+  });
+}
+
+async function saveQueue() {
+  try {
+    await Bun.write(QUEUE_FILE, JSON.stringify(runQueue, null, 2));
+  } catch (error) {
+    console.error("Failed to save run queue:", error);
+  }
+}
+
+// Queue the runs QUEUE_FILE lists again after a restart, in their order.
+// A run that was interrupted starts over. Runs that are no longer valid
+// (their test type or targets are gone) are reported and dropped.
+export async function restoreQueue(file = QUEUE_FILE) {
+  const restored = [];
+  const errors = [];
+  if (!(await Bun.file(file).exists())) return { file, restored, errors };
+
+  const entries = await Bun.file(file).json();
+  for (const { id, testType, config, trigger, queuedAt } of Array.isArray(entries) ? entries : []) {
+    try {
+      await startBenchmark(testType, validateRun(testType, config), { id, trigger, queuedAt });
+      restored.push(id);
+    } catch (error) {
+      errors.push(`${id}: ${error.message}`);
+    }
+  }
+  await saveQueue();
+  return { file, restored, errors };
+}
+
+// Runs this dashboard process knows about: the running and queued runs in
+// queue order, then the last RECENT_RUNS that ended, newest first
+const RECENT_RUNS = 10;
+
+export function listRuns() {
+  const pending = runQueue.map(entry => activeRuns.get(entry.id));
+  const ended = [...activeRuns.values()].reverse().filter(run => !pending.includes(run)).slice(0, RECENT_RUNS);
+
+  return [...pending, ...ended].map(run => ({
+    id: run.id,
+    testType: run.testType,
+    testName: TEST_TYPES[run.testType]?.name || run.testType,
+    status: run.status,
+    trigger: run.trigger,
+    queuePosition: run.queuePosition,
+    progress: run.progress,
+    progressText: run.progressText,
+    queuedAt: run.queuedAt,
+    startTime: run.startTime,
+    endTime: run.endTime,
+    error: run.error
+  }));
+}
+
 // Async benchmark execution
 async function runBenchmarkAsync(runId, testType, duration, concurrency, iterations, maxConcurrency = 2000, suiteDurationMinutes = 10) {
   const run = activeRuns.get(runId);
   if (!run) return;
 
   const testConfig = TEST_TYPES[testType];
-  if (!testConfig) {
-    run.status = "error";
-    run.error = "Unknown test type";
-    return;
-  }
 
+  // Every way a run ends goes through the catch below or the "complete"
+  // event, so event streams always see the run end
   try {
+    if (!testConfig) throw new Error("Unknown test type");
+
     // Check services
     run.progressText = "Checking service health...";
     run.progress = 5;
 
-    const health = await checkServicesHealth();
-    if (health.bun?.error || health.nodejs?.error) {
-      run.status = "error";
-      run.error = "Services not healthy";
-      return;
+    const health = await checkServicesHealth(run.targets);
+    const unhealthy = run.targets.filter(target => health[target.name]?.error).map(target => target.name);
+    if (unhealthy.length > 0) {
+      throw new Error(`Services not healthy: ${unhealthy.join(", ")}`);
     }
 
-    if (testType === "full-suite") {
-      await runFullSuite(run, concurrency, iterations, maxConcurrency, suiteDurationMinutes);
-    } else if (testConfig.type === "throughput") {
-      await runSingleThroughputTest(run, testConfig.endpoint, duration, concurrency);
-    } else if (testConfig.type === "cpu") {
-      await runSingleCpuTest(run, iterations);
-    } else if (testConfig.type === "fibonacci") {
-      await runSingleFibonacciTest(run, iterations);
-    } else if (testConfig.type === "network-egress") {
-      await runSingleNetworkEgressTest(run, duration, concurrency);
-    } else if (testConfig.type === "network-inbound") {
-      await runSingleNetworkInboundTest(run, duration, concurrency);
-    } else if (testConfig.type === "concurrent-sessions") {
-      await runSingleConcurrentSessionsTest(run, maxConcurrency);
-    } else if (testConfig.type === "json") {
-      await runSingleJsonTest(run, iterations);
+    // Where each target keeps its todos (see shared/todo-store.js): cluster
+    // workers share one list over IPC unless the target sets
+    // CLUSTER_STATE=local, which changes what /api/todos throughput measures
+    run.config.storageBackends = Object.fromEntries(run.targets.map(target => [
+      target.name,
+      health[target.name].storage_backend ?? null
+    ]));
+
+    run.cluster = { before: await captureClusterSnapshots(run.targets), after: null };
+
+    // Repeat the whole test for each trial; run.results holds the latest
+    for (let trial = 1; trial <= run.config.trials; trial++) {
+      run.trial = trial;
+      run.results = {};
+
+      if (testType === "full-suite") {
+        await runFullSuite(run, concurrency, iterations, maxConcurrency, suiteDurationMinutes);
+      } else if (testConfig.type === "definition") {
+        await runSingleDefinedTest(run, duration, concurrency);
+      } else if (testConfig.type === "throughput") {
+        await runSingleThroughputTest(run, testConfig.endpoint, duration, concurrency);
+      } else if (testConfig.type === "crud-mix") {
+        await runSingleCrudMixTest(run, duration, concurrency, testConfig.writeRatio);
+      } else if (testConfig.type === "scenario") {
+        await runSingleScenarioTest(run, duration, concurrency);
+      } else if (testConfig.type === "scaling") {
+        await runSingleScalingTest(run, testConfig.endpoint, duration, concurrency);
+      } else if (testConfig.type === "cpu") {
+        await runSingleCpuTest(run, iterations);
+      } else if (testConfig.type === "fibonacci") {
+        await runSingleFibonacciTest(run, iterations);
+      } else if (testConfig.type === "network-egress") {
+        await runSingleNetworkEgressTest(run, duration, concurrency);
+      } else if (testConfig.type === "network-inbound") {
+        await runSingleNetworkInboundTest(run, duration, concurrency);
+      } else if (testConfig.type === "concurrent-sessions") {
+        await runSingleConcurrentSessionsTest(run, maxConcurrency);
+      } else if (testConfig.type === "capacity") {
+        await runSingleCapacityTest(run, testConfig.endpoints, duration, concurrency, maxConcurrency);
+      } else if (testConfig.type === "json") {
+        await runSingleJsonTest(run, iterations);
+      }
+
+      run.trials.push(run.results);
     }
 
+    run.cluster.after = await captureClusterSnapshots(run.targets);
+
     // Calculate summary
     run.progress = 95;
     run.progressText = "Generating summary...";
-    run.summary = calculateSummary(run.results, testType);
+    run.summary = summarizeRun(run);
 
     // Save results
     await saveResults(run);
@@ -587,110 +2266,368 @@ async function runBenchmarkAsync(runId, testType, duration, concurrency, iterati
     run.progress = 100;
     run.progressText = "Complete!";
     run.endTime = new Date().toISOString();
+    emitRunEvent(run, "complete", run);
 
   } catch (error) {
+    if (runSignal(run).aborted) {
+      await saveCancelledRun(run);
+      return;
+    }
     run.status = "error";
     run.error = error.message;
     run.progress = 0;
     run.progressText = `Error: ${error.message}`;
+    run.endTime = new Date().toISOString();
+    emitRunEvent(run, "error", run);
+  } finally {
+    cancellations.delete(runId);
+    runTimeseries.delete(runId);
+    runResources.delete(runId);
+  }
+}
+
+// Cancellation signal of a run in progress
+function runSignal(run) {
+  return cancellations.get(run.id).signal;
+}
+
+// Cancel a queued run or one in progress. A queued run just leaves the
+// queue. A running one has its load generator workers, hey processes and
+// fetch loops stopped, and the tests that finished are saved with the run
+// marked "cancelled". Returns false when the run is neither.
+export function cancelBenchmark(runId) {
+  const run = activeRuns.get(runId);
+  const controller = cancellations.get(runId);
+  if (!run || !controller) return false;
+
+  if (run.status === "queued") {
+    runQueue.splice(runQueue.findIndex(entry => entry.id === runId), 1);
+    cancellations.delete(runId);
+    runTimeseries.delete(runId);
+    runResources.delete(runId);
+    delete run.queuePosition;
+    run.status = "cancelled";
+    run.progressText = "Cancelled";
+    run.endTime = new Date().toISOString();
+    updateQueuePositions();
+    saveQueue();
+    emitRunEvent(run, "cancelled", run);
+    return true;
+  }
+  if (run.status !== "running") return false;
+
+  run.status = "cancelling";
+  run.progressText = "Cancelling...";
+  controller.abort();
+  return true;
+}
+
+// Save what a cancelled run got through: its completed trials and, if it
+// finished any of them, the tests of the trial that was cut short. Falls
+// back to the last completed trial's results otherwise.
+async function saveCancelledRun(run) {
+  const finished = Object.values(run.results).some(result => result && Object.keys(result).length > 0);
+  if (!finished) run.results = run.trials[run.trials.length - 1] || {};
+
+  if (run.cluster) run.cluster.after = await captureClusterSnapshots(run.targets);
+
+  // Partial results may lack what a summary compares
+  try {
+    run.summary = summarizeRun(run);
+  } catch (error) {
+    console.warn(`[Runner] No summary for cancelled run ${run.id}: ${error.message}`);
+    run.summary = null;
+  }
+
+  run.progressText = "Saving partial results...";
+  run.endTime = new Date().toISOString();
+  await saveResults(run, "cancelled");
+
+  run.status = "cancelled";
+  run.progressText = "Cancelled";
+  emitRunEvent(run, "cancelled", run);
+}
+
+// Bun.sleep() that rejects as soon as the run is cancelled
+function cancellableSleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    signal.throwIfAborted();
+    const abort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener("abort", abort);
+      resolve();
+    }, ms);
+    signal.addEventListener("abort", abort, { once: true });
+  });
+}
+
+// Run one test against every target of the run and resolve its results by
+// target name. Parallel mode starts them all at once; sequential mode runs
+// them one after the other, in the run's target order on even comparisons
+// and reversed on odd ones (ABBA), with a cool-down before every target run
+// but the first. The order each comparison used is logged to
+// run.config.executionOrder. Throws once the run is cancelled, so the tests
+// that return their errors as results do not end up in it.
+async function runOnTargets(run, label, testFn) {
+  const targets = [...run.targets];
+  const signal = runSignal(run);
+  signal.throwIfAborted();
+  run.currentTest = label;
+
+  // "Trial 2/5: " while repeating trials
+  const trial = run.config.trials > 1 ? `Trial ${run.trial}/${run.config.trials}: ` : "";
+
+  if (run.config.executionMode !== "sequential") {
+    run.progressText = `${trial}Testing ${targets.map(target => target.runtime).join(" & ")} ${label} in parallel...`;
+    const names = targets.map(target => target.name);
+    emitRunEvent(run, "test-start", { test: label, trial: run.trial, targets: names });
+    const results = await Promise.all(targets.map(target => sampleResources(run, target, label, testFn)));
+    signal.throwIfAborted();
+    emitRunEvent(run, "test-end", { test: label, trial: run.trial, targets: names });
+    return Object.fromEntries(targets.map((target, i) => [target.name, results[i]]));
+  }
+
+  const order = run.config.executionOrder;
+  if (order.length % 2 === 1) targets.reverse();
+  order.push({ test: label, first: targets[0].name });
+
+  const results = {};
+  for (const target of targets) {
+    if (order.length > 1 || target !== targets[0]) {
+      run.progressText = `${trial}Cooling down ${run.config.cooldownSeconds}s before ${target.runtime} ${label}...`;
+      await cancellableSleep(run.config.cooldownSeconds * 1000, signal);
+    }
+    run.progressText = `${trial}Testing ${target.runtime} ${label}...`;
+    emitRunEvent(run, "test-start", { test: label, trial: run.trial, targets: [target.name] });
+    results[target.name] = await sampleResources(run, target, label, testFn);
+    signal.throwIfAborted();
+    emitRunEvent(run, "test-end", { test: label, trial: run.trial, targets: [target.name] });
+  }
+  return results;
+}
+
+// Run testFn on one target while sampling its resources (see
+// monitorResources): the samples go into the run's resource series, their
+// summary into the result as `resources`
+async function sampleResources(run, target, label, testFn) {
+  const cluster = run.cluster?.before?.[target.name];
+  const clustered = Boolean(cluster) && !cluster.error;
+  const monitor = monitorResources(target.url, clustered);
+
+  let result;
+  try {
+    result = await testFn(target.runtime, target.url);
+  } catch (error) {
+    monitor.cancel();
+    throw error;
+  }
+
+  const samples = await monitor.stop();
+  const series = runResources.get(run.id);
+  if (series && samples.length > 0) {
+    (series[target.name] ||= []).push({
+      test: label,
+      trial: run.trial,
+      source: clustered ? "cluster" : "process",
+      interval_ms: RESOURCE_SAMPLE_MS,
+      samples
+    });
   }
+
+  const resources = summarizeResources(samples);
+  if (resources && result && typeof result === "object" && !Array.isArray(result)) {
+    result.resources = resources;
+  }
+  return result;
+}
+
+async function runSingleDefinedTest(run, duration, concurrency) {
+  run.progress = 20;
+
+  const definition = run.config.definition;
+  run.results = await runOnTargets(run, `${definition.method} ${definition.endpoint}`, (name, url) =>
+    runDefinedTest(name, url, definition, duration, concurrency, loadOptions(run))
+  );
+  run.progress = 80;
 }
 
 async function runSingleThroughputTest(run, endpoint, duration, concurrency) {
-  run.progressText = `Testing Bun & Node.js ${endpoint} in parallel...`;
   run.progress = 20;
 
-  const [bunResult, nodeResult] = await Promise.all([
-    runThroughputTest("Bun", BUN_URL, endpoint, duration, concurrency),
-    runThroughputTest("Node.js", NODEJS_URL, endpoint, duration, concurrency)
-  ]);
+  run.results = await runOnTargets(run, endpoint, (name, url) =>
+    runThroughputTest(name, url, endpoint, duration, concurrency, loadOptions(run))
+  );
+  run.progress = 80;
+}
+
+async function runSingleCrudMixTest(run, duration, concurrency, writeRatio) {
+  run.progress = 20;
 
-  run.results.bun = bunResult;
-  run.results.nodejs = nodeResult;
+  run.results = await runOnTargets(run, `read/write mix (${run.config.storage})`, (name, url) =>
+    runCrudMixTest(name, url, duration, concurrency, writeRatio, loadOptions(run))
+  );
   run.progress = 80;
 }
 
-async function runSingleCpuTest(run, iterations) {
-  run.progressText = "Testing Bun & Node.js CPU performance in parallel...";
+// User journey: virtual users walk the run's scenario (see ./scenario.js)
+async function runSingleScenarioTest(run, duration, concurrency) {
   run.progress = 20;
 
-  const [bunResult, nodeResult] = await Promise.all([
-    runCpuTest("Bun", BUN_URL, iterations),
-    runCpuTest("Node.js", NODEJS_URL, iterations)
-  ]);
+  run.results = await runOnTargets(run, `${run.config.scenario} scenario`, (name, url) =>
+    runScenarioTest(name, url, run.config.scenario, duration, concurrency, run.config.thinkTime, loadOptions(run))
+  );
+  run.progress = 80;
+}
+
+// Worker-count sweep: both clusters are resized to the same count, measured
+// (see runOnTargets), then put back to their original size
+async function runSingleScalingTest(run, endpoint, duration, concurrency) {
+  const before = run.cluster.before;
+  const unmanaged = run.targets.filter(target => before[target.name].error).map(target => target.name);
+  if (unmanaged.length > 0) {
+    throw new Error(`Scaling sweep needs the cluster admin endpoint on every target (missing: ${unmanaged.join(", ")})`);
+  }
+
+  const maxWorkers = run.config.maxWorkers || Math.max(...run.targets.map(target => before[target.name].workers_total));
+  const counts = generateWorkerCounts(maxWorkers);
+  const steps = Object.fromEntries(run.targets.map(target => [target.name, []]));
+
+  try {
+    for (const [i, workers] of counts.entries()) {
+      runSignal(run).throwIfAborted();
+      run.progressText = `Restarting ${run.targets.map(target => target.runtime).join(" & ")} with ${workers} worker${workers === 1 ? "" : "s"}...`;
+      run.progress = 10 + Math.round((i / counts.length) * 75);
+
+      const clusters = await Promise.all(run.targets.map(target => resizeCluster(target.url, workers)));
+
+      const label = `${endpoint} with ${workers} worker${workers === 1 ? "" : "s"}`;
+      const results = await runOnTargets(run, label, (name, url) =>
+        runThroughputTest(name, url, endpoint, duration, concurrency, loadOptions(run))
+      );
+
+      run.targets.forEach((target, j) => steps[target.name].push(scalingStep(workers, clusters[j], results[target.name])));
+    }
+  } finally {
+    run.progressText = "Restoring original worker counts...";
+    await Promise.allSettled(run.targets.map(target => resizeCluster(target.url, before[target.name].workers_total)));
+  }
+
+  for (const target of run.targets) {
+    run.results[target.name] = scalingResult(target.runtime, endpoint, duration, concurrency, steps[target.name]);
+  }
+  run.progress = 85;
+}
+
+function scalingStep(workers, cluster, result) {
+  return {
+    workers,
+    workers_ready: cluster.workers_ready,
+    ready_ms: cluster.ready_ms,
+    requests_per_second: result.requests_per_second,
+    avg_latency_secs: result.avg_latency_secs,
+    p99_latency_secs: result.p99_latency_secs,
+    total_requests: result.total_requests,
+    latency: result.latency,
+    open_loop: result.open_loop,
+    warmup: result.warmup,
+    resources: result.resources,
+    error: result.error
+  };
+}
+
+// Scaling efficiency relative to the 1-worker step: speedup = rps / rps(1),
+// efficiency = speedup / workers (1.00 = perfectly linear)
+function scalingResult(name, endpoint, duration, concurrency, steps) {
+  const baseRps = steps[0]?.requests_per_second || 0;
 
-  run.results.bun = bunResult;
-  run.results.nodejs = nodeResult;
+  for (const step of steps) {
+    const speedup = baseRps > 0 ? step.requests_per_second / baseRps : 0;
+    step.rps_per_worker = Math.round(step.requests_per_second / step.workers);
+    step.speedup = speedup.toFixed(2);
+    step.efficiency = (speedup / step.workers).toFixed(2);
+  }
+
+  const peak = steps.reduce((best, step) => step.requests_per_second > best.requests_per_second ? step : best, steps[0]);
+  const last = steps[steps.length - 1];
+
+  return {
+    test: name,
+    endpoint,
+    type: "scaling",
+    duration,
+    concurrency,
+    worker_counts: steps.map(step => step.workers),
+    steps,
+    peak_rps: peak?.requests_per_second || 0,
+    peak_workers: peak?.workers || 0,
+    max_speedup: last?.speedup || "0",
+    efficiency_at_max: last?.efficiency || "0"
+  };
+}
+
+async function runSingleCpuTest(run, iterations) {
+  run.progress = 20;
+
+  run.results = await runOnTargets(run, "CPU performance", (name, url) =>
+    runCpuTest(name, url, iterations, warmupOptions(run), runSignal(run))
+  );
   run.progress = 80;
 }
 
 async function runSingleFibonacciTest(run, iterations) {
-  run.progressText = "Testing Bun & Node.js Fibonacci in parallel...";
   run.progress = 20;
 
-  const [bunResult, nodeResult] = await Promise.all([
-    runFibonacciTest("Bun", BUN_URL, 40, iterations),
-    runFibonacciTest("Node.js", NODEJS_URL, 40, iterations)
-  ]);
-
-  run.results.bun = bunResult;
-  run.results.nodejs = nodeResult;
+  run.results = await runOnTargets(run, "Fibonacci", (name, url) =>
+    runFibonacciTest(name, url, 40, iterations, warmupOptions(run), runSignal(run))
+  );
   run.progress = 80;
 }
 
 async function runSingleNetworkEgressTest(run, duration, concurrency) {
-  run.progressText = "Testing Bun & Node.js egress throughput in parallel...";
   run.progress = 20;
 
-  const [bunResult, nodeResult] = await Promise.all([
-    runNetworkEgressTest("Bun", BUN_URL, duration, concurrency),
-    runNetworkEgressTest("Node.js", NODEJS_URL, duration, concurrency)
-  ]);
-
-  run.results.bun = bunResult;
-  run.results.nodejs = nodeResult;
+  run.results = await runOnTargets(run, "egress throughput", (name, url) =>
+    runNetworkEgressTest(name, url, duration, concurrency, loadOptions(run))
+  );
   run.progress = 80;
 }
 
 async function runSingleNetworkInboundTest(run, duration, concurrency) {
-  run.progressText = "Testing Bun & Node.js inbound throughput in parallel...";
   run.progress = 20;
 
-  const [bunResult, nodeResult] = await Promise.all([
-    runNetworkInboundTest("Bun", BUN_URL, duration, concurrency),
-    runNetworkInboundTest("Node.js", NODEJS_URL, duration, concurrency)
-  ]);
-
-  run.results.bun = bunResult;
-  run.results.nodejs = nodeResult;
+  run.results = await runOnTargets(run, "inbound throughput", (name, url) =>
+    runNetworkInboundTest(name, url, duration, concurrency, loadOptions(run))
+  );
   run.progress = 80;
 }
 
 async function runSingleConcurrentSessionsTest(run, maxConcurrency) {
-  run.progressText = "Testing Bun & Node.js concurrent sessions in parallel...";
   run.progress = 20;
 
-  const [bunResult, nodeResult] = await Promise.all([
-    runConcurrentSessionsTest("Bun", BUN_URL, "10s", maxConcurrency),
-    runConcurrentSessionsTest("Node.js", NODEJS_URL, "10s", maxConcurrency)
-  ]);
+  run.results = await runOnTargets(run, "concurrent sessions", (name, url) =>
+    runConcurrentSessionsTest(name, url, "10s", maxConcurrency, loadOptions(run))
+  );
+  run.progress = 80;
+}
+
+async function runSingleCapacityTest(run, endpoints, duration, concurrency, maxConcurrency) {
+  run.progress = 20;
 
-  run.results.bun = bunResult;
-  run.results.nodejs = nodeResult;
+  run.results = await runOnTargets(run, "capacity search", (name, url) =>
+    runCapacityTest(name, url, endpoints, duration, concurrency, maxConcurrency, run.config.capacity, loadOptions(run))
+  );
   run.progress = 80;
 }
 
 async function runSingleJsonTest(run, iterations) {
-  run.progressText = "Testing Bun & Node.js JSON processing in parallel...";
   run.progress = 20;
 
-  const [bunResult, nodeResult] = await Promise.all([
-    runJsonTest("Bun", BUN_URL, iterations),
-    runJsonTest("Node.js", NODEJS_URL, iterations)
-  ]);
-
-  run.results.bun = bunResult;
-  run.results.nodejs = nodeResult;
+  run.results = await runOnTargets(run, "JSON processing", (name, url) =>
+    runJsonTest(name, url, iterations, warmupOptions(run), runSignal(run))
+  );
   run.progress = 80;
 }
 
@@ -702,230 +2639,429 @@ async function runFullSuite(run, concurrency, iterations, maxConcurrency, suiteD
   // Reserve time for quick tests and concurrent sessions
   // CPU + Fibonacci + JSON: ~30s total (quick tests, run in parallel)
   // Concurrent sessions: ~2 minutes (120s) for moderate concurrency
-  const quickTestsTime = 30;
-  const concurrentSessionsTime = 120;
+  // Sequential mode runs every test once per target, so each phase takes
+  // that many times as long, plus a cool-down before all but the first of the
+  // 8 x targets target runs
+  const sequential = run.config.executionMode === "sequential";
+  const phasesPerTest = sequential ? run.targets.length : 1;
+  const quickTestsTime = 30 * phasesPerTest;
+  const concurrentSessionsTime = 120 * phasesPerTest;
+  const cooldownTime = sequential ? (8 * run.targets.length - 1) * run.config.cooldownSeconds : 0;
 
   // Duration-based tests: throughput-todos, throughput-health, network-egress, network-inbound
-  // Now running in parallel (Bun + Node simultaneously), so only 4 test phases instead of 8
-  const durationBasedRuns = 4;
-  const remainingTime = totalSeconds - quickTestsTime - concurrentSessionsTime;
+  // In parallel mode (all targets simultaneously) that is 4 test phases,
+  // sequentially 4 per target, each preceded by a warmup of up to warmupBudgetSecs()
+  const durationBasedRuns = 4 * phasesPerTest;
+  const warmupTime = durationBasedRuns * warmupBudgetSecs(warmupOptions(run));
+  const remainingTime = totalSeconds - quickTestsTime - concurrentSessionsTime - cooldownTime - warmupTime;
   const perTestDuration = Math.max(30, Math.floor(remainingTime / durationBasedRuns));
   const testDuration = `${perTestDuration}s`;
 
   // Concurrent sessions target - scale with available time
   const concurrentTarget = Math.min(maxConcurrency, suiteDurationMinutes >= 20 ? 2000 : suiteDurationMinutes >= 10 ? 1000 : 500);
 
-  console.log(`[Full Suite] Total: ${suiteDurationMinutes}min, Per-test: ${perTestDuration}s, Concurrent target: ${concurrentTarget} (PARALLEL MODE)`);
+  // A load profile sets its own length for the duration-based tests
+  const profile = loadProfile(run);
+  const perTest = profile ? `${profile.stages.reduce((sum, stage) => sum + stage.durationMs, 0) / 1000}s load profile` : `${perTestDuration}s`;
 
-  run.results = {
-    bun: { throughput: {}, cpu: null, fibonacci: null, networkEgress: null, networkInbound: null, concurrent: null, json: null },
-    nodejs: { throughput: {}, cpu: null, fibonacci: null, networkEgress: null, networkInbound: null, concurrent: null, json: null }
-  };
+  console.log(`[Full Suite] Total: ${suiteDurationMinutes}min, Per-test: ${perTest}, Concurrent target: ${concurrentTarget} (${run.config.executionMode.toUpperCase()} MODE)`);
+
+  run.results = Object.fromEntries(run.targets.map(target => [
+    target.name,
+    { throughput: {}, cpu: null, fibonacci: null, networkEgress: null, networkInbound: null, concurrent: null, json: null }
+  ]));
 
-  // 1. Throughput tests - /api/todos (Bun & Node in parallel)
-  run.progressText = "Testing Bun & Node.js /api/todos throughput in parallel...";
+  // 1. Throughput tests - /api/todos (all targets)
   run.progress = 5;
   {
-    const [bunResult, nodeResult] = await Promise.all([
-      runThroughputTest("Bun", BUN_URL, "/api/todos", testDuration, concurrency),
-      runThroughputTest("Node.js", NODEJS_URL, "/api/todos", testDuration, concurrency)
-    ]);
-    run.results.bun.throughput.todos = bunResult;
-    run.results.nodejs.throughput.todos = nodeResult;
+    const results = await runOnTargets(run, "/api/todos throughput", (name, url) =>
+      runThroughputTest(name, url, "/api/todos", testDuration, concurrency, loadOptions(run))
+    );
+    for (const [name, result] of Object.entries(results)) run.results[name].throughput.todos = result;
   }
 
-  // 2. Throughput tests - /api/health (Bun & Node in parallel)
-  run.progressText = "Testing Bun & Node.js /api/health throughput in parallel...";
+  // 2. Throughput tests - /api/health (all targets)
   run.progress = 18;
   {
-    const [bunResult, nodeResult] = await Promise.all([
-      runThroughputTest("Bun", BUN_URL, "/api/health", testDuration, concurrency),
-      runThroughputTest("Node.js", NODEJS_URL, "/api/health", testDuration, concurrency)
-    ]);
-    run.results.bun.throughput.health = bunResult;
-    run.results.nodejs.throughput.health = nodeResult;
+    const results = await runOnTargets(run, "/api/health throughput", (name, url) =>
+      runThroughputTest(name, url, "/api/health", testDuration, concurrency, loadOptions(run))
+    );
+    for (const [name, result] of Object.entries(results)) run.results[name].throughput.health = result;
   }
 
-  // 3. Network Egress tests (Bun & Node in parallel)
-  run.progressText = "Testing Bun & Node.js network egress in parallel...";
+  // 3. Network Egress tests (all targets)
   run.progress = 31;
   {
-    const [bunResult, nodeResult] = await Promise.all([
-      runNetworkEgressTest("Bun", BUN_URL, testDuration, concurrency),
-      runNetworkEgressTest("Node.js", NODEJS_URL, testDuration, concurrency)
-    ]);
-    run.results.bun.networkEgress = bunResult;
-    run.results.nodejs.networkEgress = nodeResult;
+    const results = await runOnTargets(run, "network egress", (name, url) =>
+      runNetworkEgressTest(name, url, testDuration, concurrency, loadOptions(run))
+    );
+    for (const [name, result] of Object.entries(results)) run.results[name].networkEgress = result;
   }
 
-  // 4. Network Inbound tests (Bun & Node in parallel)
-  run.progressText = "Testing Bun & Node.js network inbound in parallel...";
+  // 4. Network Inbound tests (all targets)
   run.progress = 44;
   {
-    const [bunResult, nodeResult] = await Promise.all([
-      runNetworkInboundTest("Bun", BUN_URL, testDuration, concurrency),
-      runNetworkInboundTest("Node.js", NODEJS_URL, testDuration, concurrency)
-    ]);
-    run.results.bun.networkInbound = bunResult;
-    run.results.nodejs.networkInbound = nodeResult;
+    const results = await runOnTargets(run, "network inbound", (name, url) =>
+      runNetworkInboundTest(name, url, testDuration, concurrency, loadOptions(run))
+    );
+    for (const [name, result] of Object.entries(results)) run.results[name].networkInbound = result;
   }
 
-  // 5. CPU tests (Bun & Node in parallel)
-  run.progressText = "Testing Bun & Node.js CPU performance in parallel...";
+  // 5. CPU tests (all targets)
   run.progress = 57;
   {
-    const [bunResult, nodeResult] = await Promise.all([
-      runCpuTest("Bun", BUN_URL, iterations),
-      runCpuTest("Node.js", NODEJS_URL, iterations)
-    ]);
-    run.results.bun.cpu = bunResult;
-    run.results.nodejs.cpu = nodeResult;
+    const results = await runOnTargets(run, "CPU performance", (name, url) =>
+      runCpuTest(name, url, iterations, warmupOptions(run), runSignal(run))
+    );
+    for (const [name, result] of Object.entries(results)) run.results[name].cpu = result;
   }
 
-  // 6. Fibonacci tests (Bun & Node in parallel)
-  run.progressText = "Testing Bun & Node.js Fibonacci in parallel...";
+  // 6. Fibonacci tests (all targets)
   run.progress = 65;
   {
-    const [bunResult, nodeResult] = await Promise.all([
-      runFibonacciTest("Bun", BUN_URL, 40, 5),
-      runFibonacciTest("Node.js", NODEJS_URL, 40, 5)
-    ]);
-    run.results.bun.fibonacci = bunResult;
-    run.results.nodejs.fibonacci = nodeResult;
+    const results = await runOnTargets(run, "Fibonacci", (name, url) =>
+      runFibonacciTest(name, url, 40, 5, warmupOptions(run), runSignal(run))
+    );
+    for (const [name, result] of Object.entries(results)) run.results[name].fibonacci = result;
   }
 
-  // 7. Concurrent Sessions tests (Bun & Node in parallel)
-  run.progressText = "Testing Bun & Node.js concurrent sessions in parallel...";
+  // 7. Concurrent Sessions tests (all targets)
   run.progress = 73;
   {
-    const [bunResult, nodeResult] = await Promise.all([
-      runConcurrentSessionsTest("Bun", BUN_URL, "10s", concurrentTarget),
-      runConcurrentSessionsTest("Node.js", NODEJS_URL, "10s", concurrentTarget)
-    ]);
-    run.results.bun.concurrent = bunResult;
-    run.results.nodejs.concurrent = nodeResult;
+    const results = await runOnTargets(run, "concurrent sessions", (name, url) =>
+      runConcurrentSessionsTest(name, url, "10s", concurrentTarget, loadOptions(run))
+    );
+    for (const [name, result] of Object.entries(results)) run.results[name].concurrent = result;
   }
 
-  // 8. JSON Processing tests (Bun & Node in parallel)
-  run.progressText = "Testing Bun & Node.js JSON processing in parallel...";
+  // 8. JSON Processing tests (all targets)
   run.progress = 88;
   {
-    const [bunResult, nodeResult] = await Promise.all([
-      runJsonTest("Bun", BUN_URL, 50),
-      runJsonTest("Node.js", NODEJS_URL, 50)
-    ]);
-    run.results.bun.json = bunResult;
-    run.results.nodejs.json = nodeResult;
+    const results = await runOnTargets(run, "JSON processing", (name, url) =>
+      runJsonTest(name, url, 50, warmupOptions(run), runSignal(run))
+    );
+    for (const [name, result] of Object.entries(results)) run.results[name].json = result;
   }
 }
 
-function calculateSummary(results, testType) {
-  const summary = {
-    testType,
-    improvements: {}
+// A target's latency distribution (ms), each value with its improvement over
+// the baseline's: baseline / target, so like the other time-based
+// improvements > 1 means the target responded faster. Values a generator
+// does not report (hey has no p99.9 or stddev) are left out.
+function compareLatency(latency, baselineLatency) {
+  if (!latency) return null;
+
+  const comparison = {};
+  for (const key of [...Object.keys(LATENCY_PERCENTILES), "min", "max", "mean", "stddev"]) {
+    const ms = latency[key];
+    if (ms === null || ms === undefined) continue;
+    comparison[key] = { ms, improvement: improvementRatio(ms, baselineLatency?.[key], false) };
+  }
+  return comparison;
+}
+
+// Throughput per CPU-second and per MB of RSS of a target's resource summary,
+// improvement = target / baseline
+function compareEfficiency(resources, baselineResources) {
+  if (!resources) return null;
+
+  const compare = (value, baselineValue) => ({ value, improvement: improvementRatio(value, baselineValue, true) });
+  return {
+    requestsPerCpuSecond: compare(resources.requests_per_cpu_second, baselineResources?.requests_per_cpu_second),
+    rpsPerRssMb: compare(resources.rps_per_rss_mb, baselineResources?.rps_per_rss_mb)
   };
+}
 
-  if (testType === "full-suite") {
-    // Throughput improvements
-    if (results.bun?.throughput?.todos && results.nodejs?.throughput?.todos) {
-      const bunRps = results.bun.throughput.todos.requests_per_second;
-      const nodeRps = results.nodejs.throughput.todos.requests_per_second;
-      summary.improvements.throughputTodos = nodeRps > 0 ? (bunRps / nodeRps).toFixed(2) : "N/A";
-    }
+// Stage by stage summary of a profiled load test: throughput (improvement =
+// target / baseline), p99 latency in ms and dropped requests. `load` is the
+// connections or rate the stage ramps to.
+function compareStages(stages, baselineStages) {
+  if (!stages) return null;
+
+  return stages.map((stage, i) => ({
+    stage: stage.stage,
+    durationMs: stage.duration_ms,
+    ramp: stage.ramp,
+    load: stage.target,
+    rps: stage.requests_per_second,
+    p99: stage.latency?.p99 ?? null,
+    dropped: stage.dropped,
+    improvement: improvementRatio(stage.requests_per_second, baselineStages?.[i]?.requests_per_second, true)
+  }));
+}
 
-    // CPU improvements
-    if (results.bun?.cpu && results.nodejs?.cpu) {
-      const bunMs = results.bun.cpu.avg_duration_ms;
-      const nodeMs = results.nodejs.cpu.avg_duration_ms;
-      summary.improvements.cpu = bunMs > 0 ? (nodeMs / bunMs).toFixed(2) : "N/A";
-    }
+// Highest concurrency level every target completed, for comparing latency
+function commonConcurrencyLevel(results) {
+  const completed = results.map(result => new Set((result?.tested_levels || []).filter(l => !l.error).map(l => l.concurrency)));
+  const shared = [...completed[0]].filter(concurrency => completed.every(levels => levels.has(concurrency)));
+  return shared.length > 0 ? shared[shared.length - 1] : null;
+}
 
-    // Fibonacci improvements
-    if (results.bun?.fibonacci && results.nodejs?.fibonacci) {
-      const bunMs = results.bun.fibonacci.avg_duration_ms;
-      const nodeMs = results.nodejs.fibonacci.avg_duration_ms;
-      summary.improvements.fibonacci = bunMs > 0 ? (nodeMs / bunMs).toFixed(2) : "N/A";
+// Per-test reports (`field` = "warmup", "open_loop") in one target's
+// results, keyed by where they were found: "test" for a single test, else the
+// result path ("throughput.todos", "writes", "steps.4 workers",
+// "endpoints./api/health")
+function collectReports(result, field, path = []) {
+  const found = {};
+  if (!result || typeof result !== "object") return found;
+
+  for (const [key, value] of Object.entries(result)) {
+    if (key === field) {
+      if (value) found[path.join(".") || "test"] = value;
+    } else if (Array.isArray(value)) {
+      value.forEach((item, i) => {
+        const label = item?.workers ? `${item.workers} worker${item.workers === 1 ? "" : "s"}` : item?.endpoint || i;
+        Object.assign(found, collectReports(item, field, [...path, key, label]));
+      });
+    } else if (value && typeof value === "object" && key !== "latency") {
+      Object.assign(found, collectReports(value, field, [...path, key]));
     }
+  }
+  return found;
+}
 
-    // Network Egress improvements
-    if (results.bun?.networkEgress && results.nodejs?.networkEgress) {
-      const bunMbps = parseFloat(results.bun.networkEgress.throughput_mbps) || 0;
-      const nodeMbps = parseFloat(results.nodejs.networkEgress.throughput_mbps) || 0;
-      summary.improvements.networkEgress = nodeMbps > 0 ? (bunMbps / nodeMbps).toFixed(2) : "N/A";
-    }
+// Value behind each improvement key, read from one target's result, the
+// headline first: [improvement key, unit, higher is better, value]
+function improvementMetrics(testType, definition = null) {
+  const rps = result => result?.requests_per_second;
+  const avgMs = result => result?.avg_duration_ms;
+  const mbps = result => parseFloat(result?.throughput_mbps);
+  const sessions = result => result?.max_sustained_concurrency;
+  const jsonMs = result => parseFloat(result?.avg_total_ms);
+
+  if (definition) {
+    // The headline under "definition" (ratio rule only - trials compare
+    // means as a ratio), then every compared metric under its own name
+    const metric = (key) => [DEFINITION_METRICS[key].unit, DEFINITION_METRICS[key].higherIsBetter, DEFINITION_METRICS[key].value];
+    const headline = definition.summary.rule === "ratio" ? [["definition", ...metric(definition.summary.metric)]] : [];
+    return [...headline, ...definition.metrics.map(key => [key, ...metric(key)])];
+  }
+  if (testType === "full-suite") {
+    return [
+      ["throughputTodos", "req/s", true, result => rps(result?.throughput?.todos)],
+      ["cpu", "ms", false, result => avgMs(result?.cpu)],
+      ["fibonacci", "ms", false, result => avgMs(result?.fibonacci)],
+      ["networkEgress", "Mbps", true, result => mbps(result?.networkEgress)],
+      ["networkInbound", "Mbps", true, result => mbps(result?.networkInbound)],
+      ["concurrent", "connections", true, result => sessions(result?.concurrent)],
+      ["json", "ms", false, result => jsonMs(result?.json)]
+    ];
+  }
+  if (testType.startsWith("throughput")) return [["throughput", "req/s", true, rps]];
+  if (testType.startsWith("crud-mix")) return [["crudMix", "req/s", true, rps]];
+  if (testType.startsWith("scenario")) return [["scenario", "ms", false, result => result?.end_to_end?.mean]];
+  if (testType.startsWith("scaling")) return [["scaling", "req/s", true, result => result?.peak_rps]];
+  if (testType === "cpu-heavy") return [["cpu", "ms", false, avgMs]];
+  if (testType === "fibonacci") return [["fibonacci", "ms", false, avgMs]];
+  if (testType === "network-egress") return [["egress", "Mbps", true, mbps]];
+  if (testType === "network-inbound") return [["inbound", "Mbps", true, mbps]];
+  if (testType === "concurrent-sessions") return [["concurrency", "connections", true, sessions]];
+  if (testType === "capacity") return [["capacity", "req/s", true, result => result?.max_sustainable_rps]];
+  if (testType === "json-processing") return [["json", "ms", false, jsonMs]];
+  return [];
+}
 
-    // Network Inbound improvements
-    if (results.bun?.networkInbound && results.nodejs?.networkInbound) {
-      const bunMbps = parseFloat(results.bun.networkInbound.throughput_mbps) || 0;
-      const nodeMbps = parseFloat(results.nodejs.networkInbound.throughput_mbps) || 0;
-      summary.improvements.networkInbound = nodeMbps > 0 ? (bunMbps / nodeMbps).toFixed(2) : "N/A";
+// Compare every target with the baseline over repeated trials (see
+// ./stats.js). The improvement is the ratio of the means; when Mann-Whitney U
+// cannot tell the two samples apart (p >= SIGNIFICANCE_LEVEL) the verdict is
+// "no significant difference", however large the ratio. The metrics are
+// listed once, each target's trials by metric under `targets` (the baseline
+// has no comparison of its own).
+function summarizeTrials(trials, testType, definition, targets, baseline) {
+  const metrics = {};
+  const byTarget = Object.fromEntries(targets.map(target => [target.name, {}]));
+  const baselineRuntime = targets.find(target => target.name === baseline).runtime;
+
+  for (const [key, unit, higherIsBetter, value] of improvementMetrics(testType, definition)) {
+    const samples = name => trials.map(trial => value(trial[name])).filter(Number.isFinite);
+    const baselineValues = samples(baseline);
+    if (baselineValues.length === 0) continue;
+
+    const baselineStats = describe(baselineValues);
+    metrics[key] = { unit, higherIsBetter };
+    byTarget[baseline][key] = { stats: baselineStats };
+
+    for (const target of targets.filter(target => target.name !== baseline)) {
+      const values = samples(target.name);
+      if (values.length === 0) continue;
+
+      const stats = describe(values);
+      const test = mannWhitneyU(values, baselineValues);
+      const targetAhead = higherIsBetter ? stats.median > baselineStats.median : stats.median < baselineStats.median;
+      const significant = test.p < SIGNIFICANCE_LEVEL;
+
+      byTarget[target.name][key] = {
+        stats,
+        improvement: improvementRatio(stats.mean, baselineStats.mean, higherIsBetter),
+        mannWhitney: test,
+        significant,
+        verdict: significant ? `${targetAhead ? target.runtime : baselineRuntime} ahead` : "no significant difference"
+      };
     }
+  }
 
-    // Concurrent sessions improvements
-    if (results.bun?.concurrent && results.nodejs?.concurrent) {
-      const bunMax = results.bun.concurrent.max_sustained_concurrency || 0;
-      const nodeMax = results.nodejs.concurrent.max_sustained_concurrency || 0;
-      summary.improvements.concurrent = nodeMax > 0 ? (bunMax / nodeMax).toFixed(2) : "N/A";
-    }
+  return { count: trials.length, significanceLevel: SIGNIFICANCE_LEVEL, metrics, targets: byTarget };
+}
+
+// Summarize a run by target. summary.targets[name] holds each target's
+// headline value, its improvements over the baseline (> 1 = the target did
+// better; the baseline's own are 1.00) and the results behind them, each
+// value next to its improvement. summary.headline is the improvement key the
+// results lead with, its unit and direction.
+function summarizeRun(run) {
+  const { baseline, definition } = run.config;
+  const { testType, targets, results } = run;
+  const summary = { testType, baseline, headline: null };
+
+  if (definition) {
+    // Defined tests: the metrics the definition compares, headline first
+    const { metric, rule, label } = definition.summary;
+    const { unit, higherIsBetter } = DEFINITION_METRICS[metric];
+    summary.headline = { key: "definition", unit, higherIsBetter };
+    summary.definition = {
+      id: definition.id,
+      metric,
+      rule,
+      label,
+      metrics: definition.metrics.map(key => ({ metric: key, unit: DEFINITION_METRICS[key].unit, higherIsBetter: DEFINITION_METRICS[key].higherIsBetter }))
+    };
+  } else {
+    const [headline] = improvementMetrics(testType);
+    if (headline) summary.headline = { key: headline[0], unit: headline[1], higherIsBetter: headline[2] };
+  }
+
+  // Concurrent sessions compare latency at the highest level all sustained
+  if (testType === "concurrent-sessions") {
+    summary.latencyConcurrency = commonConcurrencyLevel(targets.map(target => results[target.name]));
+  }
 
-    // JSON processing improvements
-    if (results.bun?.json && results.nodejs?.json) {
-      const bunMs = parseFloat(results.bun.json.avg_total_ms) || 0;
-      const nodeMs = parseFloat(results.nodejs.json.avg_total_ms) || 0;
-      summary.improvements.json = bunMs > 0 ? (nodeMs / bunMs).toFixed(2) : "N/A";
+  summary.targets = Object.fromEntries(targets.map(target => [target.name, {
+    runtime: target.runtime,
+    ...summarizeTarget(testType, definition, results[target.name], results[baseline], summary.latencyConcurrency)
+  }]));
+
+  // Repeated trials: improvements become the ratio of the trial means
+  if (run.trials.length > 1) {
+    const { targets: trialsByTarget, ...trials } = summarizeTrials(run.trials, testType, definition, targets, baseline);
+    summary.trials = trials;
+    for (const [name, metrics] of Object.entries(trialsByTarget)) {
+      summary.targets[name].trials = metrics;
+      for (const [key, metric] of Object.entries(metrics)) {
+        if (metric.improvement) summary.targets[name].improvements[key] = metric.improvement;
+      }
     }
+  }
+
+  return summary;
+}
+
+// One target's summary, compared with the baseline's results
+function summarizeTarget(testType, definition, result, baselineResult, latencyConcurrency) {
+  const summary = { value: null, improvements: {} };
+
+  if (definition) {
+    // Every metric the definition compares, by its rule; the headline's
+    // improvement is "definition"
+    const { metric, rule } = definition.summary;
+    summary.metrics = Object.fromEntries(definition.metrics.map(key => [key, compareDefinitionMetric(key, result, baselineResult, rule)]));
+    summary.value = summary.metrics[metric].value;
+    summary.improvements.definition = summary.metrics[metric].improvement;
+    summary.latency = compareLatency(result?.latency, baselineResult?.latency);
+  } else {
+    improvementMetrics(testType).forEach(([key, , higherIsBetter, value], i) => {
+      if (i === 0) summary.value = Number.isFinite(value(result)) ? value(result) : null;
+      summary.improvements[key] = improvementRatio(value(result), value(baselineResult), higherIsBetter);
+    });
+  }
+
+  if (testType === "full-suite") {
+    // Latency distributions of the load-generator tests
+    summary.latency = {
+      throughputTodos: compareLatency(result?.throughput?.todos?.latency, baselineResult?.throughput?.todos?.latency),
+      throughputHealth: compareLatency(result?.throughput?.health?.latency, baselineResult?.throughput?.health?.latency),
+      networkEgress: compareLatency(result?.networkEgress?.latency, baselineResult?.networkEgress?.latency),
+      networkInbound: compareLatency(result?.networkInbound?.latency, baselineResult?.networkInbound?.latency)
+    };
   } else if (testType.startsWith("throughput")) {
-    const bunRps = results.bun?.requests_per_second || 0;
-    const nodeRps = results.nodejs?.requests_per_second || 0;
-    summary.improvements.throughput = nodeRps > 0 ? (bunRps / nodeRps).toFixed(2) : "N/A";
-    summary.bunRps = bunRps;
-    summary.nodeRps = nodeRps;
-  } else if (testType === "cpu-heavy") {
-    const bunMs = results.bun?.avg_duration_ms || 0;
-    const nodeMs = results.nodejs?.avg_duration_ms || 0;
-    summary.improvements.cpu = bunMs > 0 ? (nodeMs / bunMs).toFixed(2) : "N/A";
-    summary.bunMs = bunMs;
-    summary.nodeMs = nodeMs;
-  } else if (testType === "fibonacci") {
-    const bunMs = results.bun?.avg_duration_ms || 0;
-    const nodeMs = results.nodejs?.avg_duration_ms || 0;
-    summary.improvements.fibonacci = bunMs > 0 ? (nodeMs / bunMs).toFixed(2) : "N/A";
-    summary.bunMs = bunMs;
-    summary.nodeMs = nodeMs;
-  } else if (testType === "network-egress") {
-    const bunMbps = parseFloat(results.bun?.throughput_mbps) || 0;
-    const nodeMbps = parseFloat(results.nodejs?.throughput_mbps) || 0;
-    summary.improvements.egress = nodeMbps > 0 ? (bunMbps / nodeMbps).toFixed(2) : "N/A";
-    summary.bunMbps = bunMbps;
-    summary.nodeMbps = nodeMbps;
-    summary.bunRps = results.bun?.requests_per_second || 0;
-    summary.nodeRps = results.nodejs?.requests_per_second || 0;
-  } else if (testType === "network-inbound") {
-    const bunMbps = parseFloat(results.bun?.throughput_mbps) || 0;
-    const nodeMbps = parseFloat(results.nodejs?.throughput_mbps) || 0;
-    summary.improvements.inbound = nodeMbps > 0 ? (bunMbps / nodeMbps).toFixed(2) : "N/A";
-    summary.bunMbps = bunMbps;
-    summary.nodeMbps = nodeMbps;
-    summary.bunRps = results.bun?.requests_per_second || 0;
-    summary.nodeRps = results.nodejs?.requests_per_second || 0;
+    summary.latency = compareLatency(result?.latency, baselineResult?.latency);
+  } else if (testType.startsWith("crud-mix")) {
+    summary.writeRps = result?.writes?.requests_per_second || 0;
+    // Write side first - where the storage backends differ most
+    summary.latency = compareLatency(result?.writes?.latency, baselineResult?.writes?.latency);
+    summary.readLatency = compareLatency(result?.reads?.latency, baselineResult?.reads?.latency);
+  } else if (testType.startsWith("scenario")) {
+    // Headline: mean end-to-end journey latency (think time excluded)
+    summary.iterationsPerSec = result?.iterations_per_second || 0;
+    summary.latency = compareLatency(result?.end_to_end, baselineResult?.end_to_end);
+    // Per step: median and p99 response time, improvement = baseline / target p99
+    const baselineSteps = baselineResult?.steps || {};
+    summary.steps = Object.entries(result?.steps || {}).map(([step, stats]) => ({
+      step,
+      p50: stats.latency.p50,
+      p99: stats.latency.p99,
+      errors: stats.failed,
+      improvement: improvementRatio(stats.latency.p99, baselineSteps[step]?.latency?.p99, false)
+    }));
+  } else if (testType.startsWith("scaling")) {
+    summary.speedup = result?.max_speedup || "0";
+    // The curve, one entry per worker count
+    summary.scaling = (result?.steps || []).map(step => ({
+      workers: step.workers,
+      rps: step.requests_per_second,
+      rpsPerWorker: step.rps_per_worker,
+      speedup: step.speedup,
+      efficiency: step.efficiency
+    }));
+  } else if (testType === "network-egress" || testType === "network-inbound") {
+    summary.rps = result?.requests_per_second || 0;
+    summary.latency = compareLatency(result?.latency, baselineResult?.latency);
   } else if (testType === "concurrent-sessions") {
-    const bunMax = results.bun?.max_sustained_concurrency || 0;
-    const nodeMax = results.nodejs?.max_sustained_concurrency || 0;
-    summary.improvements.concurrency = nodeMax > 0 ? (bunMax / nodeMax).toFixed(2) : "N/A";
-    summary.bunMaxConcurrency = bunMax;
-    summary.nodeMaxConcurrency = nodeMax;
-  } else if (testType === "json-processing") {
-    const bunMs = parseFloat(results.bun?.avg_total_ms) || 0;
-    const nodeMs = parseFloat(results.nodejs?.avg_total_ms) || 0;
-    summary.improvements.json = bunMs > 0 ? (nodeMs / bunMs).toFixed(2) : "N/A";
-    summary.bunMs = bunMs;
-    summary.nodeMs = nodeMs;
+    const levelLatency = results => results?.tested_levels?.find(level => level.concurrency === latencyConcurrency)?.latency;
+    summary.latency = latencyConcurrency ? compareLatency(levelLatency(result), levelLatency(baselineResult)) : null;
+  } else if (testType === "capacity") {
+    // Max sustainable throughput per endpoint, and the level it was reached at
+    const baselineEndpoints = baselineResult?.endpoints || [];
+    summary.capacity = (result?.endpoints || []).map((endpoint, i) => ({
+      endpoint: endpoint.endpoint,
+      level: endpoint.max_sustainable,
+      capped: endpoint.capped,
+      rps: endpoint.requests_per_second,
+      p99: endpoint.p99_ms,
+      improvement: improvementRatio(endpoint.requests_per_second, baselineEndpoints[i]?.requests_per_second, true)
+    }));
+  }
+
+  // Load profile: stage timeline of the headline test (CRUD mix: writes, as
+  // for latency)
+  const staged = results => testType === "full-suite"
+    ? results?.throughput?.todos
+    : testType.startsWith("crud-mix") ? results?.writes : results;
+  const stages = compareStages(staged(result)?.stages, staged(baselineResult)?.stages);
+  if (stages) summary.stages = stages;
+
+  // Warmup per test: time spent, and cold (first sample) vs warm performance
+  const warmup = collectReports(result, "warmup");
+  if (Object.keys(warmup).length > 0) summary.warmup = warmup;
+
+  // Open loop: offered vs sent load per test, and what was dropped or late
+  const openLoop = collectReports(result, "open_loop");
+  if (Object.keys(openLoop).length > 0) summary.openLoop = openLoop;
+
+  // Resources per test, and the headline test's efficiency: requests per
+  // CPU-second and per MB of RSS, improvement > 1 when the target did more
+  // with the same
+  const resources = collectReports(result, "resources");
+  if (Object.keys(resources).length > 0) {
+    const headline = testType === "full-suite" ? "throughput.todos" : "test";
+    summary.resources = resources;
+    summary.efficiency = compareEfficiency(resources[headline], collectReports(baselineResult, "resources")[headline]);
   }
 
   return summary;
 }
 
-async function saveResults(run) {
+// Save a finished run, its status "complete" or "cancelled"
+async function saveResults(run, status = "complete") {
   const runDir = `${RESULTS_DIR}/${run.id}`;
 
   try {
@@ -934,28 +3070,55 @@ async function saveResults(run) {
     // Save config
     await Bun.write(`${runDir}/config.json`, JSON.stringify(run.config, null, 2));
 
-    // Save results
-    await Bun.write(`${runDir}/bun-results.json`, JSON.stringify(run.results.bun, null, 2));
-    await Bun.write(`${runDir}/nodejs-results.json`, JSON.stringify(run.results.nodejs, null, 2));
+    // Save results, one file per target (<target>-results.json)
+    for (const target of run.targets) {
+      await Bun.write(`${runDir}/${target.name}-results.json`, JSON.stringify(run.results[target.name] ?? null, null, 2));
+    }
+
+    // Per-second time series of the load tests, next to each target's results
+    const timeseries = runTimeseries.get(run.id) || {};
+    for (const target of run.targets) {
+      if (timeseries[target.name]) {
+        await Bun.write(`${runDir}/${target.name}-timeseries.json`, JSON.stringify(timeseries[target.name]));
+      }
+    }
+
+    // Resource samples of the tests, for the targets that report them
+    const resources = runResources.get(run.id) || {};
+    for (const target of run.targets) {
+      if (resources[target.name]) {
+        await Bun.write(`${runDir}/${target.name}-resources.json`, JSON.stringify(resources[target.name]));
+      }
+    }
+
+    // Every trial's results when the test was repeated
+    if (run.trials.length > 1) {
+      await Bun.write(`${runDir}/trials.json`, JSON.stringify(run.trials.map((results, i) => ({ trial: i + 1, ...results })), null, 2));
+    }
+
+    // Save cluster supervisor snapshots (before/after)
+    await Bun.write(`${runDir}/cluster.json`, JSON.stringify(run.cluster, null, 2));
 
     // Save summary
     await Bun.write(`${runDir}/summary.json`, JSON.stringify({
       id: run.id,
       testType: run.testType,
+      status,
+      trigger: run.trigger,
       startTime: run.startTime,
       endTime: run.endTime,
       summary: run.summary
     }, null, 2));
 
     // Update runs index
-    await updateRunsIndex(run);
+    await updateRunsIndex(run, status);
 
   } catch (error) {
     console.error("Failed to save results:", error);
   }
 }
 
-async function updateRunsIndex(run) {
+async function updateRunsIndex(run, status) {
   const indexPath = `${RESULTS_DIR}/runs.json`;
   let runs = [];
 
@@ -973,12 +3136,18 @@ async function updateRunsIndex(run) {
     id: run.id,
     testType: run.testType,
     testName: TEST_TYPES[run.testType]?.name || run.testType,
+    status,
+    trigger: run.trigger,
     startTime: run.startTime,
     endTime: run.endTime,
     config: run.config,
     summary: run.summary,
     // Additional details for expanded view
-    details
+    details,
+    cluster: Object.fromEntries(run.targets.map(target => [
+      target.name,
+      summarizeCluster(run.cluster?.before?.[target.name], run.cluster?.after?.[target.name])
+    ]))
   });
 
   // Keep last 50 runs
@@ -987,139 +3156,157 @@ async function updateRunsIndex(run) {
   await Bun.write(indexPath, JSON.stringify(runs, null, 2));
 }
 
-// Extract detailed metrics from run results for the index
+// Extract detailed metrics from run results for the index, by target
 function extractRunDetails(run) {
-  const details = {
-    bun: {},
-    nodejs: {}
-  };
+  return Object.fromEntries(run.targets.map(target => {
+    const results = run.results?.[target.name];
+    const details = targetDetails(run.testType, run.config.definition, results);
+    const resources = resourceDetails(run.testType === "full-suite" ? results?.throughput?.todos?.resources : results?.resources);
+    return [target.name, resources ? { ...details, resources } : details];
+  }));
+}
 
-  const bunResults = run.results?.bun;
-  const nodeResults = run.results?.nodejs;
+// Resources of the headline test, when the target reported them
+function resourceDetails(resources) {
+  if (!resources) return null;
+
+  return {
+    cpuAvgPercent: resources.cpu_percent.avg,
+    cpuPeakPercent: resources.cpu_percent.peak,
+    rssPeakMb: resources.rss_mb.peak,
+    lagP99Ms: resources.event_loop_lag_ms?.p99 ?? null,
+    requestsPerCpuSecond: resources.requests_per_cpu_second,
+    rpsPerRssMb: resources.rps_per_rss_mb
+  };
+}
 
-  if (run.testType.startsWith("throughput")) {
+// Detailed metrics of one target's results
+function targetDetails(testType, definition, results) {
+  if (definition) {
+    // Defined test details: the metrics it compares
+    const { metrics, method, endpoint } = definition;
+    return {
+      request: `${method} ${endpoint}`,
+      metrics: Object.fromEntries(metrics.map(key => [key, DEFINITION_METRICS[key].value(results)]))
+    };
+  } else if (testType.startsWith("throughput")) {
     // Throughput test details
-    details.bun = {
-      rps: bunResults?.requests_per_second || 0,
-      avgLatency: bunResults?.avg_latency_secs || "0",
-      p99Latency: bunResults?.p99_latency_secs || "0",
-      totalRequests: bunResults?.total_requests || 0
+    return {
+      rps: results?.requests_per_second || 0,
+      avgLatency: results?.avg_latency_secs || "0",
+      p50LatencyMs: results?.latency?.p50 ?? null,
+      p99Latency: results?.p99_latency_secs || "0",
+      p999LatencyMs: results?.latency?.p99_9 ?? null,
+      totalRequests: results?.total_requests || 0
     };
-    details.nodejs = {
-      rps: nodeResults?.requests_per_second || 0,
-      avgLatency: nodeResults?.avg_latency_secs || "0",
-      p99Latency: nodeResults?.p99_latency_secs || "0",
-      totalRequests: nodeResults?.total_requests || 0
+  } else if (testType.startsWith("crud-mix")) {
+    // Read/write mix details
+    return {
+      rps: results?.requests_per_second || 0,
+      readRps: results?.reads?.requests_per_second || 0,
+      writeRps: results?.writes?.requests_per_second || 0,
+      readP99Latency: results?.reads?.p99_latency_secs || "0",
+      writeP99Latency: results?.writes?.p99_latency_secs || "0"
     };
-  } else if (run.testType === "cpu-heavy") {
-    // CPU test details
-    details.bun = {
-      avgMs: bunResults?.avg_duration_ms || 0,
-      minMs: bunResults?.min_duration_ms || 0,
-      maxMs: bunResults?.max_duration_ms || 0,
-      iterations: bunResults?.iterations || 0
+  } else if (testType.startsWith("scenario")) {
+    // User journey details
+    return {
+      e2eMs: results?.end_to_end?.mean ?? null,
+      e2eP99Ms: results?.end_to_end?.p99 ?? null,
+      iterations: results?.iterations || 0,
+      failedIterations: results?.failed_iterations || 0,
+      rps: results?.requests_per_second || 0
     };
-    details.nodejs = {
-      avgMs: nodeResults?.avg_duration_ms || 0,
-      minMs: nodeResults?.min_duration_ms || 0,
-      maxMs: nodeResults?.max_duration_ms || 0,
-      iterations: nodeResults?.iterations || 0
+  } else if (testType.startsWith("scaling")) {
+    // Worker scaling details
+    return {
+      peakRps: results?.peak_rps || 0,
+      peakWorkers: results?.peak_workers || 0,
+      maxSpeedup: results?.max_speedup || "0",
+      steps: (results?.steps || []).map(step => ({
+        workers: step.workers,
+        rps: step.requests_per_second,
+        rpsPerWorker: step.rps_per_worker,
+        speedup: step.speedup,
+        efficiency: step.efficiency
+      }))
     };
-  } else if (run.testType === "fibonacci") {
-    // Fibonacci test details
-    details.bun = {
-      avgMs: bunResults?.avg_duration_ms || 0,
-      n: bunResults?.n || 40,
-      result: bunResults?.result || 0,
-      iterations: bunResults?.iterations || 0
+  } else if (testType === "cpu-heavy") {
+    // CPU test details
+    return {
+      avgMs: results?.avg_duration_ms || 0,
+      minMs: results?.min_duration_ms || 0,
+      maxMs: results?.max_duration_ms || 0,
+      iterations: results?.iterations || 0
     };
-    details.nodejs = {
-      avgMs: nodeResults?.avg_duration_ms || 0,
-      n: nodeResults?.n || 40,
-      result: nodeResults?.result || 0,
-      iterations: nodeResults?.iterations || 0
+  } else if (testType === "fibonacci") {
+    // Fibonacci test details
+    return {
+      avgMs: results?.avg_duration_ms || 0,
+      n: results?.n || 40,
+      result: results?.result || 0,
+      iterations: results?.iterations || 0
     };
-  } else if (run.testType === "network-egress") {
+  } else if (testType === "network-egress") {
     // Network egress test details
-    details.bun = {
-      throughputMbps: bunResults?.throughput_mbps || "0",
-      rps: bunResults?.requests_per_second || 0,
-      totalMb: bunResults?.total_mb || "0",
-      avgLatency: bunResults?.avg_latency_secs || "0"
-    };
-    details.nodejs = {
-      throughputMbps: nodeResults?.throughput_mbps || "0",
-      rps: nodeResults?.requests_per_second || 0,
-      totalMb: nodeResults?.total_mb || "0",
-      avgLatency: nodeResults?.avg_latency_secs || "0"
+    return {
+      throughputMbps: results?.throughput_mbps || "0",
+      rps: results?.requests_per_second || 0,
+      totalMb: results?.total_mb || "0",
+      avgLatency: results?.avg_latency_secs || "0"
     };
-  } else if (run.testType === "network-inbound") {
+  } else if (testType === "network-inbound") {
     // Network inbound test details
-    details.bun = {
-      throughputMbps: bunResults?.throughput_mbps || "0",
-      rps: bunResults?.requests_per_second || 0,
-      totalUploadedMb: bunResults?.total_uploaded_mb || "0",
-      avgLatency: bunResults?.avg_latency_secs || "0"
-    };
-    details.nodejs = {
-      throughputMbps: nodeResults?.throughput_mbps || "0",
-      rps: nodeResults?.requests_per_second || 0,
-      totalUploadedMb: nodeResults?.total_uploaded_mb || "0",
-      avgLatency: nodeResults?.avg_latency_secs || "0"
+    return {
+      throughputMbps: results?.throughput_mbps || "0",
+      rps: results?.requests_per_second || 0,
+      totalUploadedMb: results?.total_uploaded_mb || "0",
+      avgLatency: results?.avg_latency_secs || "0"
     };
-  } else if (run.testType === "concurrent-sessions") {
+  } else if (testType === "concurrent-sessions") {
     // Concurrent sessions test details
-    details.bun = {
-      maxConcurrency: bunResults?.max_sustained_concurrency || 0,
-      testedLevels: bunResults?.tested_levels?.length || 0,
-      recommendation: bunResults?.recommendation || ""
+    return {
+      maxConcurrency: results?.max_sustained_concurrency || 0,
+      testedLevels: results?.tested_levels?.length || 0,
+      recommendation: results?.recommendation || ""
     };
-    details.nodejs = {
-      maxConcurrency: nodeResults?.max_sustained_concurrency || 0,
-      testedLevels: nodeResults?.tested_levels?.length || 0,
-      recommendation: nodeResults?.recommendation || ""
+  } else if (testType === "capacity") {
+    // Capacity search details, one entry per endpoint
+    return {
+      searchBy: results?.search_by || "",
+      capacityRps: results?.max_sustainable_rps || 0,
+      endpoints: (results?.endpoints || []).map(endpoint => ({
+        endpoint: endpoint.endpoint,
+        maxSustainable: endpoint.max_sustainable,
+        capped: endpoint.capped,
+        rps: endpoint.requests_per_second,
+        p99LatencyMs: endpoint.p99_ms,
+        probes: endpoint.probes.length
+      }))
     };
-  } else if (run.testType === "json-processing") {
+  } else if (testType === "json-processing") {
     // JSON processing test details
-    details.bun = {
-      avgTotalMs: bunResults?.avg_total_ms || "0",
-      avgStringifyMs: bunResults?.avg_stringify_ms || "0",
-      avgParseMs: bunResults?.avg_parse_ms || "0",
-      jsonSizeKb: bunResults?.json_size_kb || 0,
-      iterations: bunResults?.iterations || 0
-    };
-    details.nodejs = {
-      avgTotalMs: nodeResults?.avg_total_ms || "0",
-      avgStringifyMs: nodeResults?.avg_stringify_ms || "0",
-      avgParseMs: nodeResults?.avg_parse_ms || "0",
-      jsonSizeKb: nodeResults?.json_size_kb || 0,
-      iterations: nodeResults?.iterations || 0
+    return {
+      avgTotalMs: results?.avg_total_ms || "0",
+      avgStringifyMs: results?.avg_stringify_ms || "0",
+      avgParseMs: results?.avg_parse_ms || "0",
+      jsonSizeKb: results?.json_size_kb || 0,
+      iterations: results?.iterations || 0
     };
-  } else if (run.testType === "full-suite") {
+  } else if (testType === "full-suite") {
     // Full suite - extract key metrics from all test types
-    details.bun = {
-      throughputTodos: bunResults?.throughput?.todos?.requests_per_second || 0,
-      throughputHealth: bunResults?.throughput?.health?.requests_per_second || 0,
-      cpuAvgMs: bunResults?.cpu?.avg_duration_ms || 0,
-      fibAvgMs: bunResults?.fibonacci?.avg_duration_ms || 0,
-      networkEgressMbps: bunResults?.networkEgress?.throughput_mbps || "0",
-      networkInboundMbps: bunResults?.networkInbound?.throughput_mbps || "0",
-      maxConcurrent: bunResults?.concurrent?.max_sustained_concurrency || 0,
-      jsonAvgMs: bunResults?.json?.avg_total_ms || "0"
-    };
-    details.nodejs = {
-      throughputTodos: nodeResults?.throughput?.todos?.requests_per_second || 0,
-      throughputHealth: nodeResults?.throughput?.health?.requests_per_second || 0,
-      cpuAvgMs: nodeResults?.cpu?.avg_duration_ms || 0,
-      fibAvgMs: nodeResults?.fibonacci?.avg_duration_ms || 0,
-      networkEgressMbps: nodeResults?.networkEgress?.throughput_mbps || "0",
-      networkInboundMbps: nodeResults?.networkInbound?.throughput_mbps || "0",
-      maxConcurrent: nodeResults?.concurrent?.max_sustained_concurrency || 0,
-      jsonAvgMs: nodeResults?.json?.avg_total_ms || "0"
+    return {
+      throughputTodos: results?.throughput?.todos?.requests_per_second || 0,
+      throughputHealth: results?.throughput?.health?.requests_per_second || 0,
+      cpuAvgMs: results?.cpu?.avg_duration_ms || 0,
+      fibAvgMs: results?.fibonacci?.avg_duration_ms || 0,
+      networkEgressMbps: results?.networkEgress?.throughput_mbps || "0",
+      networkInboundMbps: results?.networkInbound?.throughput_mbps || "0",
+      maxConcurrent: results?.concurrent?.max_sustained_concurrency || 0,
+      jsonAvgMs: results?.json?.avg_total_ms || "0"
     };
   }
-
-  return details;
+  return {};
 }
 
 // Get run status
@@ -1143,14 +3330,31 @@ export async function getRunDetails(runId) {
   const runDir = `${RESULTS_DIR}/${runId}`;
 
   try {
-    const [config, bunResults, nodejsResults, summary] = await Promise.all([
+    const [config, summary] = await Promise.all([
       Bun.file(`${runDir}/config.json`).json(),
-      Bun.file(`${runDir}/bun-results.json`).json(),
-      Bun.file(`${runDir}/nodejs-results.json`).json(),
       Bun.file(`${runDir}/summary.json`).json()
     ]);
 
-    return { config, bunResults, nodejsResults, summary };
+    // Runs saved before the target registry compared bun and nodejs
+    const names = config.targets?.map(target => target.name) || DEFAULT_TARGETS;
+    const results = Object.fromEntries(await Promise.all(names.map(async (name) =>
+      [name, await Bun.file(`${runDir}/${name}-results.json`).json()]
+    )));
+
+    // Runs saved before the supervisor existed have no cluster.json
+    const cluster = await Bun.file(`${runDir}/cluster.json`).json().catch(() => null);
+
+    // Only load tests of the built-in generator have time series
+    const timeseries = Object.fromEntries((await Promise.all(names.map(async (name) =>
+      [name, await Bun.file(`${runDir}/${name}-timeseries.json`).json().catch(() => null)]
+    ))).filter(([, series]) => series));
+
+    // Nor do targets without the metrics endpoint, or runs saved before it
+    const resources = Object.fromEntries((await Promise.all(names.map(async (name) =>
+      [name, await Bun.file(`${runDir}/${name}-resources.json`).json().catch(() => null)]
+    ))).filter(([, series]) => series));
+
+    return { config, results, summary, cluster, timeseries, resources };
   } catch (error) {
     return null;
   }
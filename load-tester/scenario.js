@@ -0,0 +1,236 @@
+// User-Journey Scenarios
+// Virtual users that walk through the app the way a person would, instead of
+// hammering a single endpoint. Each iteration a virtual user picks one of the
+// scenario's flows (weighted at random) and runs its steps in order, pausing
+// for think time between them. Values extracted from a response (the id of
+// the todo a step created) fill the `{name}` placeholders of later paths.
+//
+// A step that fails (transport error, non-2xx, or a response without the
+// values it extracts) ends its iteration: the steps after it would act on
+// data that does not exist.
+//
+// Like ./loadgen.js, each runScenario() call runs in its own worker thread.
+//
+// Options:
+//   url          - target base URL
+//   scenario     - definition, e.g. SCENARIOS["todo-journey"]
+//   users        - virtual users, each running one iteration at a time
+//   durationMs   - start new iterations until this much time passed
+//   thinkTimeMs  - mean pause after each step, drawn uniformly from 50-150%
+//                  of it (0 = no pause)
+//   timeoutMs    - per-request timeout (default 20000)
+//   signal       - AbortSignal that cancels the run: the worker is terminated
+//                  and runScenario() rejects with the abort reason
+//
+// Latencies are in microseconds. End-to-end latency is the time an
+// iteration spent waiting on responses, think time excluded.
+
+import { createHistogram, restoreHistogram } from "./histogram.js";
+
+// Built-in scenarios: flows of steps { name, method, path, body, extract }
+export const SCENARIOS = {
+  "todo-journey": {
+    description: "Create a todo, list, toggle it and delete it again; one in four iterations only lists",
+    flows: [
+      {
+        name: "lifecycle",
+        weight: 3,
+        steps: [
+          { name: "create", method: "POST", path: "/api/todos", body: { title: "Journey todo" }, extract: { id: "id" } },
+          { name: "list", method: "GET", path: "/api/todos" },
+          { name: "toggle", method: "PATCH", path: "/api/todos/{id}" },
+          { name: "delete", method: "DELETE", path: "/api/todos/{id}" }
+        ]
+      },
+      {
+        name: "browse",
+        weight: 1,
+        steps: [
+          { name: "list", method: "GET", path: "/api/todos" }
+        ]
+      }
+    ]
+  }
+};
+
+// Run a scenario in a worker thread. Resolves with the result of
+// runUsers(), histograms restored to live histogram objects.
+export function runScenario(options) {
+  const { signal, ...run } = options;
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const worker = new Worker(new URL("./scenario.js", import.meta.url).href);
+
+    const abort = () => {
+      worker.terminate();
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", abort, { once: true });
+
+    const restore = (metrics) => Object.fromEntries(
+      Object.entries(metrics).map(([name, entry]) => [name, { ...entry, histogram: restoreHistogram(entry.histogram) }])
+    );
+
+    worker.onmessage = (event) => {
+      signal?.removeEventListener("abort", abort);
+      worker.terminate();
+      if (event.data.error) {
+        reject(new Error(event.data.error));
+      } else {
+        const { flows, steps, histogram } = event.data;
+        resolve({ ...event.data, flows: restore(flows), steps: restore(steps), histogram: restoreHistogram(histogram) });
+      }
+    };
+    worker.onerror = (event) => {
+      signal?.removeEventListener("abort", abort);
+      worker.terminate();
+      reject(new Error(event.message || "Scenario worker failed"));
+    };
+
+    worker.postMessage(run);
+  });
+}
+
+// Value at a dot path ("id", "todo.id") of a parsed response
+function extractValue(json, path) {
+  return path.split(".").reduce((value, key) => value?.[key], json);
+}
+
+// Values a step extracts ({ name: path }) from its response body, or null
+// when the body is not JSON or lacks one of them
+function extractValues(text, extract) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    return null;
+  }
+
+  const values = {};
+  for (const [name, path] of Object.entries(extract)) {
+    values[name] = extractValue(json, path) ?? null;
+    if (values[name] === null) return null;
+  }
+  return values;
+}
+
+// The virtual users themselves
+export async function runUsers(options) {
+  const { url, scenario, users, durationMs, thinkTimeMs = 0, timeoutMs = 20000 } = options;
+
+  const histogram = createHistogram();
+  const flows = Object.fromEntries(scenario.flows.map(flow => [flow.name, { iterations: 0, failed: 0, histogram: createHistogram() }]));
+  const steps = {};
+  for (const flow of scenario.flows) {
+    for (const step of flow.steps) {
+      steps[step.name] ??= { requests: 0, failed: 0, status_codes: {}, errors: {}, histogram: createHistogram() };
+    }
+  }
+
+  const totalWeight = scenario.flows.reduce((sum, flow) => sum + (flow.weight ?? 1), 0);
+  const start = performance.now();
+  const deadline = start + durationMs;
+  let iterations = 0;
+  let failedIterations = 0;
+
+  function pickFlow() {
+    let roll = Math.random() * totalWeight;
+    for (const flow of scenario.flows) {
+      roll -= flow.weight ?? 1;
+      if (roll < 0) return flow;
+    }
+    return scenario.flows[scenario.flows.length - 1];
+  }
+
+  function think() {
+    return thinkTimeMs > 0 ? Bun.sleep(thinkTimeMs * (0.5 + Math.random())) : null;
+  }
+
+  // One step: its latency and extracted values (null when it failed)
+  async function runStep(step, vars) {
+    const metrics = steps[step.name];
+    const path = step.path.replace(/\{(\w+)\}/g, (_, name) => encodeURIComponent(vars[name]));
+    const sent = performance.now();
+    metrics.requests++;
+
+    try {
+      const response = await fetch(`${url}${path}`, {
+        method: step.method || "GET",
+        headers: step.body ? { "Content-Type": "application/json" } : {},
+        body: step.body ? JSON.stringify(step.body) : null,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      const text = await response.text();
+      const micros = (performance.now() - sent) * 1000;
+
+      metrics.histogram.record(micros);
+      metrics.status_codes[response.status] = (metrics.status_codes[response.status] || 0) + 1;
+      const values = !response.ok ? null : step.extract ? extractValues(text, step.extract) : {};
+      if (!values) metrics.failed++;
+      return { micros, values };
+    } catch (error) {
+      const reason = error.name === "TimeoutError" ? "timeout" : error.code || error.message;
+      metrics.errors[reason] = (metrics.errors[reason] || 0) + 1;
+      metrics.failed++;
+      return { micros: 0, values: null };
+    }
+  }
+
+  async function user() {
+    while (performance.now() < deadline) {
+      const flow = pickFlow();
+      const vars = {};
+      let waited = 0;
+      let ok = true;
+
+      for (const [i, step] of flow.steps.entries()) {
+        if (i > 0) await think();
+        const { micros, values } = await runStep(step, vars);
+        waited += micros;
+        if (!values) {
+          ok = false;
+          break;
+        }
+        Object.assign(vars, values);
+      }
+
+      iterations++;
+      flows[flow.name].iterations++;
+      if (ok) {
+        histogram.record(waited);
+        flows[flow.name].histogram.record(waited);
+      } else {
+        failedIterations++;
+        flows[flow.name].failed++;
+      }
+      await think();
+    }
+  }
+
+  await Promise.all(Array.from({ length: users }, user));
+
+  const elapsedMs = performance.now() - start;
+  const toJSON = (metrics) => Object.fromEntries(
+    Object.entries(metrics).map(([name, entry]) => [name, { ...entry, histogram: entry.histogram.toJSON() }])
+  );
+
+  return {
+    iterations,
+    failed_iterations: failedIterations,
+    elapsed_ms: elapsedMs,
+    flows: toJSON(flows),
+    steps: toJSON(steps),
+    histogram: histogram.toJSON()
+  };
+}
+
+// Worker thread side of runScenario()
+if (!Bun.isMainThread) {
+  self.onmessage = async (event) => {
+    try {
+      postMessage(await runUsers(event.data));
+    } catch (error) {
+      postMessage({ error: error.message });
+    }
+  };
+}
@@ -0,0 +1,123 @@
+// Scheduled Runs
+// Cron expressions for runs that queue themselves, e.g. a nightly full suite.
+// An expression has the five usual fields - minute, hour, day of month,
+// month, day of week (0 or 7 = Sunday) - each `*`, a number, a range (1-5),
+// a list (1,15) or a step (*/15, 0-30/10). Like cron, a day that restricts
+// both day of month and day of week matches either. Times are the dashboard
+// server's local time.
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 }
+];
+
+// Search horizon of nextCronTime(): long enough for "29 2 29 2 *" style
+// expressions that only match in leap years
+const MAX_SEARCH_DAYS = 366 * 8;
+
+const ALL_MINUTES = new Set(Array.from({ length: 60 }, (_, i) => i));
+const ALL_HOURS = new Set(Array.from({ length: 24 }, (_, i) => i));
+
+// Values of one field, as a Set
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid ${name} "${part}"`);
+
+    const [, range, from, to, step] = match;
+    const start = range === "*" ? min : parseInt(from);
+    const end = range === "*" ? max : to !== undefined ? parseInt(to) : step !== undefined ? max : start;
+    const every = step !== undefined ? parseInt(step) : 1;
+
+    if (start < min || end > max || start > end || every < 1) {
+      throw new Error(`Invalid ${name} "${part}" (${min}-${max})`);
+    }
+    for (let value = start; value <= end; value += every) values.add(value);
+  }
+  return values;
+}
+
+// Parse a cron expression, throwing on anything invalid
+export function parseCron(expression) {
+  const fields = typeof expression === "string" ? expression.trim().split(/\s+/) : [];
+  if (fields.length !== FIELDS.length) {
+    throw new Error(`cron must have 5 fields (minute hour day-of-month month day-of-week), got "${expression}"`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields.map((field, i) => parseField(field, FIELDS[i]));
+  // 7 is Sunday too
+  if (dayOfWeek.delete(7)) dayOfWeek.add(0);
+
+  return {
+    expression: fields.join(" "),
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    anyDayOfMonth: fields[2] === "*",
+    anyDayOfWeek: fields[4] === "*"
+  };
+}
+
+// Whether a parsed expression matches the minute `date` falls in
+export function cronMatches(cron, date) {
+  if (!cron.minute.has(date.getMinutes()) || !cron.hour.has(date.getHours()) || !cron.month.has(date.getMonth() + 1)) {
+    return false;
+  }
+
+  const dayOfMonth = cron.dayOfMonth.has(date.getDate());
+  const dayOfWeek = cron.dayOfWeek.has(date.getDay());
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) return dayOfMonth && dayOfWeek;
+  return dayOfMonth || dayOfWeek;
+}
+
+// First minute after `from` that the expression matches, or null if there
+// is none within MAX_SEARCH_DAYS (e.g. February 31st)
+export function nextCronTime(cron, from = new Date()) {
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  for (const limit = date.getTime() + MAX_SEARCH_DAYS * 86400000; date.getTime() < limit;) {
+    if (cronMatches(cron, date)) return date;
+    // Skip whole hours and days that cannot match
+    if (!cron.month.has(date.getMonth() + 1) || !cronMatches({ ...cron, minute: ALL_MINUTES, hour: ALL_HOURS }, date)) {
+      date.setHours(24, 0, 0, 0);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else {
+      date.setMinutes(date.getMinutes() + 1);
+    }
+  }
+  return null;
+}
+
+// Call onDue(schedule) at the start of every minute that a schedule's
+// parsed `cron` matches; schedules() returns the current schedules. Returns
+// { stop() }.
+export function startScheduler(schedules, onDue) {
+  let timer = null;
+  let lastMinute = Math.floor(Date.now() / 60000);
+
+  function tick() {
+    // Each minute once, however the timer drifts
+    const minute = Math.floor(Date.now() / 60000);
+    if (minute !== lastMinute) {
+      lastMinute = minute;
+      const now = new Date();
+      for (const schedule of schedules()) {
+        if (cronMatches(schedule.cron, now)) onDue(schedule);
+      }
+    }
+    timer = setTimeout(tick, 60000 - (Date.now() % 60000));
+  }
+
+  timer = setTimeout(tick, 60000 - (Date.now() % 60000));
+  return { stop: () => clearTimeout(timer) };
+}
@@ -0,0 +1,120 @@
+import { describe, expect, test } from "bun:test";
+import { cronMatches, nextCronTime, parseCron } from "./schedule.js";
+
+// Local time, like the scheduler. 1 January 2024 is a Monday.
+const at = (year, month, day, hour = 0, minute = 0, second = 0) => new Date(year, month - 1, day, hour, minute, second);
+const sorted = set => [...set].sort((a, b) => a - b);
+
+describe("parseCron", () => {
+  test("ranges, lists and steps", () => {
+    const cron = parseCron("*/15 9-17 1,15 */3 1-5");
+    expect(sorted(cron.minute)).toEqual([0, 15, 30, 45]);
+    expect(sorted(cron.hour)).toEqual([9, 10, 11, 12, 13, 14, 15, 16, 17]);
+    expect(sorted(cron.dayOfMonth)).toEqual([1, 15]);
+    expect(sorted(cron.month)).toEqual([1, 4, 7, 10]);
+    expect(sorted(cron.dayOfWeek)).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test("a stepped range stops at its end, a stepped number runs to the field's max", () => {
+    expect(sorted(parseCron("0-30/10 * * * *").minute)).toEqual([0, 10, 20, 30]);
+    expect(sorted(parseCron("5/20 * * * *").minute)).toEqual([5, 25, 45]);
+    expect(sorted(parseCron("1-10/4,30 * * * *").minute)).toEqual([1, 5, 9, 30]);
+  });
+
+  test("7 is Sunday, like 0", () => {
+    expect(sorted(parseCron("0 0 * * 7").dayOfWeek)).toEqual([0]);
+    expect(sorted(parseCron("0 0 * * 5-7").dayOfWeek)).toEqual([0, 5, 6]);
+  });
+
+  test("normalizes whitespace in the stored expression", () => {
+    expect(parseCron("  0   3 * *  1 ").expression).toBe("0 3 * * 1");
+  });
+
+  test("rejects the wrong number of fields", () => {
+    expect(() => parseCron("0 3 * *")).toThrow("cron must have 5 fields");
+    expect(() => parseCron("0 3 * * * *")).toThrow("cron must have 5 fields");
+    expect(() => parseCron("")).toThrow("cron must have 5 fields");
+    expect(() => parseCron(undefined)).toThrow("cron must have 5 fields");
+  });
+
+  test("rejects values outside a field and malformed parts", () => {
+    expect(() => parseCron("60 * * * *")).toThrow('Invalid minute "60" (0-59)');
+    expect(() => parseCron("* 24 * * *")).toThrow('Invalid hour "24" (0-23)');
+    expect(() => parseCron("* * 0 * *")).toThrow('Invalid day of month "0" (1-31)');
+    expect(() => parseCron("* * * 13 *")).toThrow('Invalid month "13" (1-12)');
+    expect(() => parseCron("* * * * 8")).toThrow('Invalid day of week "8" (0-7)');
+    expect(() => parseCron("30-10 * * * *")).toThrow('Invalid minute "30-10"');
+    expect(() => parseCron("*/0 * * * *")).toThrow('Invalid minute "*/0"');
+    expect(() => parseCron("MON * * * *")).toThrow('Invalid minute "MON"');
+    expect(() => parseCron("1,,2 * * * *")).toThrow('Invalid minute ""');
+  });
+});
+
+describe("cronMatches", () => {
+  test("checks minute, hour and month", () => {
+    const cron = parseCron("30 2 * 1 *");
+    expect(cronMatches(cron, at(2024, 1, 10, 2, 30, 45))).toBe(true);
+    expect(cronMatches(cron, at(2024, 1, 10, 2, 31))).toBe(false);
+    expect(cronMatches(cron, at(2024, 1, 10, 3, 30))).toBe(false);
+    expect(cronMatches(cron, at(2024, 2, 10, 2, 30))).toBe(false);
+  });
+
+  test("with one day field restricted, only that one counts", () => {
+    const thirteenth = parseCron("0 0 13 * *");
+    expect(cronMatches(thirteenth, at(2024, 1, 13))).toBe(true);
+    expect(cronMatches(thirteenth, at(2024, 1, 5))).toBe(false);
+
+    const friday = parseCron("0 0 * * 5");
+    expect(cronMatches(friday, at(2024, 1, 5))).toBe(true);
+    expect(cronMatches(friday, at(2024, 1, 13))).toBe(false);
+  });
+
+  test("with both day fields restricted, either matches", () => {
+    const cron = parseCron("0 0 13 * 5");
+    // Friday the 5th, Saturday the 13th, Friday the 12th
+    expect(cronMatches(cron, at(2024, 1, 5))).toBe(true);
+    expect(cronMatches(cron, at(2024, 1, 13))).toBe(true);
+    expect(cronMatches(cron, at(2024, 1, 12))).toBe(true);
+    expect(cronMatches(cron, at(2024, 1, 14))).toBe(false);
+  });
+
+  test("a stepped day field still counts as restricted", () => {
+    const cron = parseCron("0 0 */10 * 0");
+    // The 11th by day of month, Sunday the 7th by day of week
+    expect(cronMatches(cron, at(2024, 1, 11))).toBe(true);
+    expect(cronMatches(cron, at(2024, 1, 7))).toBe(true);
+    expect(cronMatches(cron, at(2024, 1, 8))).toBe(false);
+  });
+});
+
+describe("nextCronTime", () => {
+  test("is the next matching minute, strictly after from", () => {
+    const cron = parseCron("*/15 * * * *");
+    expect(nextCronTime(cron, at(2024, 1, 1, 10, 15, 30))).toEqual(at(2024, 1, 1, 10, 30));
+    expect(nextCronTime(cron, at(2024, 1, 1, 10, 30))).toEqual(at(2024, 1, 1, 10, 45));
+    expect(nextCronTime(cron, at(2024, 1, 1, 23, 50))).toEqual(at(2024, 1, 2, 0, 0));
+  });
+
+  test("crosses month and year ends", () => {
+    expect(nextCronTime(parseCron("0 0 1 * *"), at(2024, 1, 31, 12))).toEqual(at(2024, 2, 1));
+    expect(nextCronTime(parseCron("0 3 * * 1"), at(2024, 12, 31, 4))).toEqual(at(2025, 1, 6, 3));
+  });
+
+  test("skips months without the day", () => {
+    expect(nextCronTime(parseCron("0 0 31 * *"), at(2024, 4, 1))).toEqual(at(2024, 5, 31));
+  });
+
+  test("finds February 29th in the next leap year", () => {
+    expect(nextCronTime(parseCron("29 2 29 2 *"), at(2025, 3, 1))).toEqual(at(2028, 2, 29, 2, 29));
+    expect(nextCronTime(parseCron("0 0 29 2 *"), at(2024, 2, 28, 12))).toEqual(at(2024, 2, 29));
+  });
+
+  test("is null for a date that never comes", () => {
+    expect(nextCronTime(parseCron("0 0 31 2 *"), at(2024, 1, 1))).toBeNull();
+    expect(nextCronTime(parseCron("0 0 30 2 *"), at(2024, 1, 1))).toBeNull();
+  });
+
+  test("February 30th can still match by day of week", () => {
+    expect(nextCronTime(parseCron("0 0 30 2 1"), at(2024, 1, 1))).toEqual(at(2024, 2, 5));
+  });
+});
@@ -1,19 +1,76 @@
 // Bun HTTP Server for Load Tester Dashboard
 import {
   TEST_TYPES,
+  SERVER_VARIANTS,
+  validateRun,
+  resolveTarget,
+  TARGETS,
+  loadTargets,
+  setTarget,
+  deleteTarget,
+  loadDefinitions,
+  SCHEDULES,
+  loadSchedules,
+  runSchedule,
   checkServicesHealth,
   startBenchmark,
+  restoreQueue,
+  listRuns,
+  cancelBenchmark,
+  subscribeRun,
   getRunStatus,
   getAllRuns,
   getRunDetails
 } from "./runner.js";
+import { DEFINITIONS_DIR, watchDefinitions } from "./definitions.js";
+import { nextCronTime, startScheduler } from "./schedule.js";
 
 const PORT = process.env.PORT || 8080;
 
+// Benchmarks defined in files, reloaded whenever the directory changes
+let definitions = { loaded: [], errors: [] };
+
+async function reloadDefinitions() {
+  definitions = await loadDefinitions(DEFINITIONS_DIR);
+  console.log(`[Definitions] Loaded ${definitions.loaded.length} from ${DEFINITIONS_DIR}${definitions.loaded.length ? `: ${definitions.loaded.join(", ")}` : ""}`);
+  for (const { error } of definitions.errors) {
+    console.warn(`[Definitions] ${error}`);
+  }
+}
+
+await reloadDefinitions();
+watchDefinitions(reloadDefinitions, DEFINITIONS_DIR);
+
+// Targets registered beyond the built-in Bun and Node.js apps
+{
+  const { file, loaded, errors } = await loadTargets();
+  console.log(`[Targets] Loaded ${loaded.length} from ${file}${loaded.length ? `: ${loaded.join(", ")}` : ""}`);
+  for (const error of errors) {
+    console.warn(`[Targets] ${error}`);
+  }
+}
+
+// Runs queued before the last shutdown, then the scheduled runs
+{
+  const { file, restored, errors } = await restoreQueue();
+  if (restored.length > 0) console.log(`[Queue] Restored ${restored.length} from ${file}: ${restored.join(", ")}`);
+  for (const error of errors) {
+    console.warn(`[Queue] ${error}`);
+  }
+}
+{
+  const { file, loaded, errors } = await loadSchedules();
+  console.log(`[Schedule] Loaded ${loaded.length} from ${file}${loaded.length ? `: ${loaded.join(", ")}` : ""}`);
+  for (const error of errors) {
+    console.warn(`[Schedule] ${error}`);
+  }
+  startScheduler(() => Object.values(SCHEDULES), runSchedule);
+}
+
 // CORS headers for development
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
   "Access-Control-Allow-Headers": "Content-Type"
 };
 
@@ -28,6 +85,73 @@ function jsonResponse(data, status = 200) {
   });
 }
 
+// Server-Sent Events response. open(send, close) starts the stream and may
+// return a cleanup function, called once the stream ends - closed by the
+// server or dropped by the client.
+const KEEPALIVE_MS = 5000;
+
+function eventStream(open) {
+  const encoder = new TextEncoder();
+  let closed = false;
+  let cleanup = null;
+  let keepalive = null;
+
+  function end() {
+    closed = true;
+    clearInterval(keepalive);
+    cleanup?.();
+  }
+
+  const stream = new ReadableStream({
+    start(controller) {
+      const send = (event, data) => {
+        if (!closed) controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+      };
+      const close = () => {
+        if (closed) return;
+        end();
+        controller.close();
+      };
+      // Comments keep idle connections (and proxies) from timing out
+      keepalive = setInterval(() => {
+        if (!closed) controller.enqueue(encoder.encode(": keepalive\n\n"));
+      }, KEEPALIVE_MS);
+
+      cleanup = open(send, close);
+      if (closed) cleanup?.();
+    },
+    cancel() {
+      if (!closed) end();
+    }
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      ...corsHeaders
+    }
+  });
+}
+
+// Status of a run that ended before this dashboard started, from its saved
+// results
+function savedRunStatus(runId, details) {
+  return {
+    id: runId,
+    status: details.summary?.status || "complete",
+    progress: 100,
+    progressText: details.summary?.status === "cancelled" ? "Cancelled" : "Complete!",
+    testType: details.summary?.testType,
+    config: details.config,
+    results: details.results,
+    summary: details.summary?.summary
+  };
+}
+
+// Events that end a run's event stream
+const RUN_END_EVENTS = ["complete", "cancelled", "error"];
+
 // Serve static files
 async function serveStatic(path) {
   const filePath = path === "/" ? "/public/index.html" : `/public${path}`;
@@ -89,16 +213,78 @@ async function handleRequest(req) {
 
 // API handler
 async function handleApi(path, method, req) {
-  // GET /api/tests - List available tests
+  // GET /api/tests - List available tests (built in and defined in files),
+  // plus the definition files that failed to load
   if (path === "/api/tests" && method === "GET") {
     return jsonResponse({
       tests: Object.entries(TEST_TYPES).map(([id, config]) => ({
         id,
-        ...config
+        ...config,
+        source: config.source || "builtin"
+      })),
+      definitionErrors: definitions.errors
+    });
+  }
+
+  // GET /api/variants - Server implementations available per runtime
+  if (path === "/api/variants" && method === "GET") {
+    return jsonResponse({
+      variants: Object.entries(SERVER_VARIANTS).map(([id, urls]) => ({
+        id,
+        runtimes: Object.keys(urls).filter(runtime => urls[runtime])
       }))
     });
   }
 
+  // GET /api/targets - List the target registry
+  if (path === "/api/targets" && method === "GET") {
+    return jsonResponse({ targets: Object.values(TARGETS) });
+  }
+
+  // POST /api/targets - Register a target { name, url, runtime, metadata }
+  if (path === "/api/targets" && method === "POST") {
+    try {
+      const target = resolveTarget(await req.json());
+      if (TARGETS[target.name]) {
+        return jsonResponse({ error: `Target ${target.name} already exists` }, 400);
+      }
+      await setTarget(target);
+      return jsonResponse(target, 201);
+    } catch (error) {
+      return jsonResponse({ error: error.message }, 400);
+    }
+  }
+
+  // GET/PUT/DELETE /api/targets/:name - Read, replace or remove a target.
+  // The built-in bun and nodejs targets cannot be changed.
+  const targetMatch = path.match(/^\/api\/targets\/([^/]+)$/);
+  if (targetMatch) {
+    const name = targetMatch[1];
+    const existing = TARGETS[name];
+    if (!existing) {
+      return jsonResponse({ error: "Target not found" }, 404);
+    }
+    if (method === "GET") {
+      return jsonResponse(existing);
+    }
+    if (existing.source === "builtin") {
+      return jsonResponse({ error: `Target ${name} is built in` }, 400);
+    }
+    if (method === "PUT") {
+      try {
+        const target = resolveTarget({ ...(await req.json()), name });
+        await setTarget(target);
+        return jsonResponse(target);
+      } catch (error) {
+        return jsonResponse({ error: error.message }, 400);
+      }
+    }
+    if (method === "DELETE") {
+      await deleteTarget(name);
+      return jsonResponse({ deleted: name });
+    }
+  }
+
   // GET /api/health - Dashboard health check
   if (path === "/api/health" && method === "GET") {
     const services = await checkServicesHealth();
@@ -118,20 +304,108 @@ async function handleApi(path, method, req) {
   // POST /api/run - Start a benchmark
   if (path === "/api/run" && method === "POST") {
     try {
-      const body = await req.json();
-      const { testType, duration = "30s", concurrency = 50, iterations = 10 } = body;
+      const { testType, ...body } = await req.json();
 
-      if (!testType || !TEST_TYPES[testType]) {
-        return jsonResponse({ error: "Invalid test type" }, 400);
+      let config;
+      try {
+        config = validateRun(testType, body);
+      } catch (error) {
+        return jsonResponse({ error: error.message }, 400);
       }
 
-      const runId = await startBenchmark(testType, { duration, concurrency, iterations });
-      return jsonResponse({ runId, status: "started" });
+      // Queued behind any run in progress; "running" when it started right away
+      const runId = await startBenchmark(testType, config);
+      const { status, queuePosition } = getRunStatus(runId);
+      return jsonResponse({ runId, status, queuePosition });
     } catch (error) {
       return jsonResponse({ error: error.message }, 500);
     }
   }
 
+  // GET /api/runs - Queued and running runs, then the ones that just ended
+  if (path === "/api/runs" && method === "GET") {
+    return jsonResponse({ runs: listRuns() });
+  }
+
+  // GET /api/schedules - Scheduled runs with their next run time
+  if (path === "/api/schedules" && method === "GET") {
+    return jsonResponse({
+      schedules: Object.values(SCHEDULES).map(({ name, cron, run, lastRunId }) => ({
+        name,
+        cron: cron.expression,
+        run,
+        nextRun: nextCronTime(cron)?.toISOString() ?? null,
+        lastRunId
+      }))
+    });
+  }
+
+  // GET /api/runs/:runId/events - Follow a run over Server-Sent Events:
+  // "snapshot" (the run as /api/status returns it), then its lifecycle and
+  // per-second "metrics" events (see subscribeRun() in runner.js) and
+  // "progress" whenever its status or progress text changes. The stream
+  // closes after "complete", "cancelled" or "error", or right after the
+  // snapshot of a run that has already ended.
+  const eventsMatch = path.match(/^\/api\/runs\/([^/]+)\/events$/);
+  if (eventsMatch && method === "GET") {
+    const runId = eventsMatch[1];
+    const run = getRunStatus(runId);
+
+    if (!run) {
+      const details = await getRunDetails(runId);
+      if (!details) {
+        return jsonResponse({ error: "Run not found" }, 404);
+      }
+      return eventStream((send, close) => {
+        send("snapshot", savedRunStatus(runId, details));
+        close();
+      });
+    }
+
+    return eventStream((send, close) => {
+      send("snapshot", run);
+      if (RUN_END_EVENTS.includes(run.status)) {
+        close();
+        return null;
+      }
+
+      const progressOf = () => ({ status: run.status, progress: run.progress, progressText: run.progressText, queuePosition: run.queuePosition });
+      let progress = JSON.stringify(progressOf());
+      const timer = setInterval(() => {
+        const latest = JSON.stringify(progressOf());
+        if (latest !== progress) {
+          progress = latest;
+          send("progress", progressOf());
+        }
+      }, 1000);
+
+      const unsubscribe = subscribeRun(runId, (event, data) => {
+        send(event, data);
+        if (RUN_END_EVENTS.includes(event)) close();
+      });
+      return () => {
+        clearInterval(timer);
+        unsubscribe();
+      };
+    });
+  }
+
+  // POST /api/runs/:runId/cancel - Drop a queued run or stop a running
+  // one; a running one's finished tests are saved. Either ends "cancelled".
+  const cancelMatch = path.match(/^\/api\/runs\/([^/]+)\/cancel$/);
+  if (cancelMatch && method === "POST") {
+    const runId = cancelMatch[1];
+    const status = getRunStatus(runId);
+
+    if (!status) {
+      return jsonResponse({ error: "Run not found" }, 404);
+    }
+    if (!cancelBenchmark(runId)) {
+      return jsonResponse({ error: `Run is already ${status.status}` }, 400);
+    }
+    return jsonResponse({ runId, status: getRunStatus(runId).status });
+  }
+
   // GET /api/status/:runId - Get run status
   const statusMatch = path.match(/^\/api\/status\/(.+)$/);
   if (statusMatch && method === "GET") {
@@ -142,17 +416,7 @@ async function handleApi(path, method, req) {
       // Check if it's a completed run from disk
       const details = await getRunDetails(runId);
       if (details) {
-        return jsonResponse({
-          id: runId,
-          status: "complete",
-          progress: 100,
-          progressText: "Complete!",
-          results: {
-            bun: details.bunResults,
-            nodejs: details.nodejsResults
-          },
-          summary: details.summary?.summary
-        });
+        return jsonResponse(savedRunStatus(runId, details));
       }
       return jsonResponse({ error: "Run not found" }, 404);
     }
@@ -197,9 +461,15 @@ console.log(`
 ║                                                            ║
 ║  API Endpoints:                                            ║
 ║    GET  /api/tests       - List available tests            ║
+║    GET  /api/variants    - List server implementations     ║
+║    *    /api/targets     - Target registry (CRUD)          ║
 ║    GET  /api/health      - Dashboard health                ║
 ║    GET  /api/services    - Check backend services          ║
-║    POST /api/run         - Start benchmark                 ║
+║    POST /api/run         - Queue benchmark                 ║
+║    GET  /api/runs        - Queued and running benchmarks   ║
+║    GET  /api/runs/:id/events - Live run events (SSE)       ║
+║    POST /api/runs/:id/cancel - Cancel a benchmark          ║
+║    GET  /api/schedules   - Scheduled benchmarks            ║
 ║    GET  /api/status/:id  - Get run status                  ║
 ║    GET  /api/reports     - List historical reports         ║
 ║    GET  /api/reports/:id - Get specific report             ║
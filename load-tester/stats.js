@@ -0,0 +1,121 @@
+// Trial Statistics
+// Descriptive statistics and a significance test for comparing the values a
+// test produced over repeated trials (the `trials` option of a run).
+//
+// The Mann-Whitney U test makes no assumption about the shape of the
+// distributions, which suits benchmark numbers (skewed, with outliers). With
+// few trials it uses the exact distribution of U; with ties or larger
+// samples the normal approximation (tie- and continuity-corrected).
+
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+// Two-sided 95% critical values of Student's t for 1..30 degrees of freedom
+const T_CRITICAL_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+// Largest n1 * n2 for which the exact distribution of U is enumerated
+const EXACT_LIMIT = 400;
+
+function round(value) {
+  return Number.isFinite(value) ? +value.toFixed(4) : null;
+}
+
+// n, mean, median, sample stddev and the 95% confidence interval of the mean
+export function describe(values) {
+  const n = values.length;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = values.reduce((sum, value) => sum + value, 0) / n;
+  const median = n % 2 === 1 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+  const stddev = n > 1
+    ? Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1))
+    : 0;
+  const t = n > 1 ? (T_CRITICAL_95[n - 2] ?? 1.96) : 0;
+  const margin = t * stddev / Math.sqrt(n);
+
+  return {
+    n,
+    mean: round(mean),
+    median: round(median),
+    stddev: round(stddev),
+    min: sorted[0],
+    max: sorted[n - 1],
+    ci95: n > 1 ? [round(mean - margin), round(mean + margin)] : null
+  };
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Number of orderings of n1 + n2 distinct values giving each U (0..n1*n2)
+function exactUCounts(n1, n2) {
+  // counts[i][j] = distribution of U for samples of size i and j
+  let previous = Array.from({ length: n2 + 1 }, () => [1]);
+  for (let i = 1; i <= n1; i++) {
+    const current = [[1]];
+    for (let j = 1; j <= n2; j++) {
+      // The largest value is in sample 1 (adds j to U) or in sample 2
+      const fromFirst = previous[j];
+      const fromSecond = current[j - 1];
+      const counts = new Array(i * j + 1).fill(0);
+      fromFirst.forEach((count, u) => { counts[u + j] += count; });
+      fromSecond.forEach((count, u) => { counts[u] += count; });
+      current.push(counts);
+    }
+    previous = current;
+  }
+  return previous[n2];
+}
+
+// Two-sided Mann-Whitney U test of whether samples a and b come from the same
+// distribution. Returns U for sample a, the p-value and the method used.
+export function mannWhitneyU(a, b) {
+  const n1 = a.length;
+  const n2 = b.length;
+  if (n1 === 0 || n2 === 0) {
+    return { u: null, p: 1, method: "none" };
+  }
+
+  // Rank the pooled values, ties get the average of their ranks
+  const pooled = [...a.map(value => ({ value, first: true })), ...b.map(value => ({ value, first: false }))]
+    .sort((x, y) => x.value - y.value);
+  let rankSumA = 0;
+  let tieTerm = 0;
+  for (let i = 0; i < pooled.length;) {
+    let j = i;
+    while (j < pooled.length && pooled[j].value === pooled[i].value) j++;
+    const rank = (i + 1 + j) / 2;
+    for (let k = i; k < j; k++) {
+      if (pooled[k].first) rankSumA += rank;
+    }
+    const ties = j - i;
+    tieTerm += ties ** 3 - ties;
+    i = j;
+  }
+
+  const u = rankSumA - n1 * (n1 + 1) / 2;
+  const meanU = n1 * n2 / 2;
+
+  if (tieTerm === 0 && n1 * n2 <= EXACT_LIMIT) {
+    const counts = exactUCounts(n1, n2);
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const lower = counts.slice(0, Math.floor(Math.min(u, n1 * n2 - u)) + 1).reduce((sum, count) => sum + count, 0);
+    return { u, p: round(Math.min(1, 2 * lower / total)), method: "exact" };
+  }
+
+  const n = n1 + n2;
+  const variance = n1 * n2 / 12 * ((n + 1) - tieTerm / (n * (n - 1)));
+  if (variance <= 0) {
+    return { u, p: 1, method: "normal" };
+  }
+  const z = (Math.abs(u - meanU) - 0.5) / Math.sqrt(variance);
+  return { u, p: round(Math.min(1, 2 * (1 - normalCdf(Math.max(0, z))))), method: "normal" };
+}
@@ -0,0 +1,80 @@
+import { describe as group, expect, test } from "bun:test";
+import { describe, mannWhitneyU } from "./stats.js";
+
+group("describe", () => {
+  test("odd count: median is the middle value, CI uses t with n - 1 df", () => {
+    // stddev = sqrt(2.5); margin = 2.776 * stddev / sqrt(5)
+    expect(describe([5, 1, 4, 2, 3])).toEqual({
+      n: 5, mean: 3, median: 3, stddev: 1.5811, min: 1, max: 5, ci95: [1.0371, 4.9629]
+    });
+  });
+
+  test("even count: median averages the middle two", () => {
+    // stddev = sqrt(32 / 7); margin = 2.365 * stddev / sqrt(8)
+    expect(describe([2, 4, 4, 4, 5, 5, 7, 9])).toEqual({
+      n: 8, mean: 5, median: 4.5, stddev: 2.1381, min: 2, max: 9, ci95: [3.2122, 6.7878]
+    });
+  });
+
+  test("a single trial has no spread and no CI", () => {
+    expect(describe([42])).toEqual({ n: 1, mean: 42, median: 42, stddev: 0, min: 42, max: 42, ci95: null });
+  });
+
+  test("identical values give a zero-width CI", () => {
+    expect(describe([7, 7, 7]).ci95).toEqual([7, 7]);
+  });
+
+  test("past 31 trials the CI uses the normal 1.96", () => {
+    const values = Array.from({ length: 40 }, (_, i) => i % 2);
+    const { stddev, ci95 } = describe(values);
+    const margin = 1.96 * Math.sqrt(10 / 39) / Math.sqrt(40);
+    expect(stddev).toBeCloseTo(Math.sqrt(10 / 39), 4);
+    expect(ci95[0]).toBeCloseTo(0.5 - margin, 3);
+    expect(ci95[1]).toBeCloseTo(0.5 + margin, 3);
+  });
+});
+
+group("mannWhitneyU", () => {
+  test("exact: complete separation of 3 vs 3 is p = 2 / C(6, 3)", () => {
+    expect(mannWhitneyU([1, 2, 3], [4, 5, 6])).toEqual({ u: 0, p: 0.1, method: "exact" });
+    expect(mannWhitneyU([4, 5, 6], [1, 2, 3])).toEqual({ u: 9, p: 0.1, method: "exact" });
+  });
+
+  test("exact: complete separation of 4 vs 5 is p = 2 / C(9, 4)", () => {
+    expect(mannWhitneyU([1, 2, 3, 4], [5, 6, 7, 8, 9]).p).toBe(+(2 / 126).toFixed(4));
+  });
+
+  test("exact: U at the center gives p = 1", () => {
+    expect(mannWhitneyU([1, 4], [2, 3])).toEqual({ u: 2, p: 1, method: "exact" });
+  });
+
+  test("U of a and U of b add up to n1 * n2", () => {
+    const a = [3.1, 9.4, 2.2, 7.7];
+    const b = [5.5, 1.1, 8.8, 6.6, 4.4];
+    expect(mannWhitneyU(a, b).u + mannWhitneyU(b, a).u).toBe(20);
+    expect(mannWhitneyU(a, b).p).toBe(mannWhitneyU(b, a).p);
+  });
+
+  test("ties get average ranks and switch to the tie-corrected normal approximation", () => {
+    // Ranks: 1,1,1 -> 2 each; 2 -> 4; 3,3 -> 5.5. Rank sum of a = 8, U = 2.
+    // Variance = 9 / 12 * (7 - 30 / 30) = 4.5; z = (2.5 - 0.5) / sqrt(4.5)
+    expect(mannWhitneyU([1, 1, 2], [1, 3, 3])).toEqual({ u: 2, p: 0.3458, method: "normal" });
+  });
+
+  test("all values tied: zero variance, p = 1", () => {
+    expect(mannWhitneyU([5, 5], [5, 5])).toEqual({ u: 2, p: 1, method: "normal" });
+  });
+
+  test("large samples use the normal approximation", () => {
+    const a = Array.from({ length: 21 }, (_, i) => i);
+    const b = Array.from({ length: 20 }, (_, i) => i + 100.5);
+    const result = mannWhitneyU(a, b);
+    expect(result.method).toBe("normal");
+    expect(result.u).toBe(0);
+    expect(result.p).toBeLessThan(0.001);
+  });
+
+  test("an empty sample cannot be tested", () => {
+    expect(mannWhitneyU([], [1, 2])).toEqual({ u: null, p: 1, method: "none" });
+  });
+});
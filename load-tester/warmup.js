@@ -0,0 +1,67 @@
+// Warmup & Steady-State Detection
+// JavaScriptCore and V8 compile hot code in tiers, so the first requests a
+// fresh server handles are slower than the ones after it. Tests warm the
+// target up before they start measuring:
+//   fixed - repeat the test's request for a fixed amount of time
+//   auto  - repeat it until the last STEADY_STATE_WINDOW samples vary by no
+//           more than STEADY_STATE_CV (coefficient of variation), or until
+//           the time cap runs out
+//
+// The report is stored with each test result, so the cold first sample
+// (pre_warmup) and the steady state the measurement starts from
+// (post_warmup) stay visible next to the measured numbers.
+
+export const STEADY_STATE_WINDOW = 5;
+export const STEADY_STATE_CV = 0.1;
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// True once the last `window` samples have settled
+export function isSteady(samples, window = STEADY_STATE_WINDOW, maxCv = STEADY_STATE_CV) {
+  if (samples.length < window) return false;
+  const recent = samples.slice(-window);
+  const avg = mean(recent);
+  if (avg <= 0) return false;
+  const variance = mean(recent.map(value => (value - avg) ** 2));
+  return Math.sqrt(variance) / avg <= maxCv;
+}
+
+// Call sample() - async, resolves with one measurement where lower is better
+// (a latency or duration) - until the target is warm.
+//   options - { mode: "fixed" | "auto", durationMs, maxDurationMs }
+// Warming stops early when a sample fails or is not a positive number; the
+// measurement that follows reports the failure.
+export async function warmUp(sample, { mode, durationMs = 0, maxDurationMs = 0 }) {
+  const samples = [];
+  const limitMs = mode === "fixed" ? durationMs : maxDurationMs;
+  const start = performance.now();
+  let steady = false;
+
+  do {
+    let value;
+    try {
+      value = await sample();
+    } catch (error) {
+      break;
+    }
+    if (!(value > 0)) break;
+
+    samples.push(value);
+    steady = mode === "auto" && isSteady(samples);
+  } while (!steady && performance.now() - start < limitMs);
+
+  const pre = samples.length > 0 ? +samples[0].toFixed(3) : null;
+  const post = samples.length > 0 ? +mean(samples.slice(-STEADY_STATE_WINDOW)).toFixed(3) : null;
+
+  return {
+    mode,
+    duration_ms: Math.round(performance.now() - start),
+    samples: samples.length,
+    steady: mode === "auto" ? steady : null,
+    pre_warmup: pre,
+    post_warmup: post,
+    improvement: pre && post ? (pre / post).toFixed(2) : "N/A"
+  };
+}
@@ -1,8 +1,13 @@
 // ============================================
 // Node.js Cluster Mode - Multi-Core Support
 // ============================================
+// Restarts, backoff, rolling reload (SIGHUP) and graceful drain (SIGTERM)
+// are handled by the shared supervisor (../shared/supervisor.js), identical
+// to bun/cluster.js.
 const cluster = require('cluster');
 const os = require('os');
+const { createStoreHost, usesPrimaryStore } = require('../shared/todo-store');
+const { createSupervisor } = require('../shared/supervisor');
 
 // Configuration
 const numCPUs = os.cpus().length;
@@ -11,8 +16,6 @@ const WORKERS = process.env.WORKERS === 'auto' || !process.env.WORKERS
   : parseInt(process.env.WORKERS) || numCPUs;
 
 if (cluster.isPrimary) {
-  const CLUSTER_START_TIME = Date.now();
-
   console.log('');
   console.log('============================================');
   console.log('[CLUSTER] Node.js Multi-Core Mode');
@@ -23,41 +26,38 @@ if (cluster.isPrimary) {
   console.log('============================================');
   console.log('');
 
-  let workersReady = 0;
-
-  // Fork workers
-  for (let i = 0; i < WORKERS; i++) {
-    const worker = cluster.fork({
-      WORKER_ID: i,
-      WORKERS_TOTAL: WORKERS
-    });
-    console.log(`[CLUSTER] Forked worker ${i} (PID: ${worker.process.pid})`);
-  }
+  const supervisor = createSupervisor({
+    runtime: 'node',
+    workersTotal: WORKERS,
+    spawn(workerId, workersTotal) {
+      const worker = cluster.fork({
+        WORKER_ID: workerId,
+        WORKERS_TOTAL: workersTotal
+      });
 
-  // Track when workers are listening
-  cluster.on('listening', (worker, address) => {
-    workersReady++;
-    if (workersReady === WORKERS) {
-      const duration = Date.now() - CLUSTER_START_TIME;
-      console.log('');
-      console.log('============================================');
-      console.log(`[CLUSTER] All ${WORKERS} workers ready in ${duration}ms`);
-      console.log('============================================');
-      console.log('');
+      return {
+        pid: worker.process.pid,
+        send: (message) => worker.send(message),
+        kill: (signal) => worker.process.kill(signal),
+        exited: new Promise(resolve => worker.on('exit', (code, signal) => resolve({ code, signal })))
+      };
     }
   });
 
-  // Restart crashed workers
-  cluster.on('exit', (worker, code, signal) => {
-    const workerId = worker.process.env?.WORKER_ID || 'unknown';
-    console.log(`[CLUSTER] Worker ${workerId} (PID: ${worker.process.pid}) died (${signal || code})`);
-    console.log('[CLUSTER] Restarting worker...');
-    cluster.fork({
-      WORKER_ID: workerId,
-      WORKERS_TOTAL: WORKERS
-    });
+  // Shared todo state: workers forward store operations to the primary
+  const storeHost = usesPrimaryStore() ? createStoreHost(supervisor.broadcast) : null;
+  if (storeHost) {
+    console.log('[CLUSTER] Todo state: primary-owned store (IPC)');
+  }
+
+  cluster.on('message', (worker, message) => {
+    if (supervisor.handleMessage(message)) return;
+    storeHost?.handle(message, (reply) => worker.send(reply));
   });
 
+  supervisor.listen();
+  supervisor.start();
+
 } else {
   // Worker process - run the Express server
   require('./server.js');
@@ -0,0 +1,20 @@
+// ============================================
+// Fetch-Handler Binding (@hono/node-server)
+// ============================================
+// Serves a WHATWG fetch handler on Node.js for fetch-based frameworks
+// (SERVER_IMPL=hono). Loaded lazily so the adapter package only counts
+// toward module load time when it is actually used.
+
+const { serve } = require('@hono/node-server');
+
+function listen({ port, fetch }, onListen) {
+  const server = serve({ fetch, port: Number(port) }, () => onListen());
+
+  // Same keep-alive tuning as the Express implementation
+  server.keepAliveTimeout = 65000;
+  server.headersTimeout = 66000;
+
+  return server;
+}
+
+module.exports = { listen };
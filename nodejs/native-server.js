@@ -0,0 +1,42 @@
+// ============================================
+// Native node:http Binding
+// ============================================
+// Socket binding for the framework-free server implementation
+// (shared/native.js). Routing and serialization are shared; this file only
+// moves bytes between node:http and the shared dispatcher.
+
+const http = require('http');
+
+function listen({ port, dispatch }, onListen) {
+  const server = http.createServer((req, res) => {
+    dispatch(req.method, req.url, () => readBody(req))
+      .then((result) => {
+        res.writeHead(result.status, result.headers);
+        res.end(result.body);
+      })
+      .catch((error) => {
+        // Last resort: never let a request become an unhandled rejection
+        console.error(`[NATIVE] ${req.method} ${req.url} failed: ${error.message}`);
+        if (!res.headersSent) res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify({ error: 'Internal server error' }));
+      });
+  });
+
+  // Same keep-alive tuning as the Express implementation
+  server.keepAliveTimeout = 65000;
+  server.headersTimeout = 66000;
+
+  server.listen(port, onListen);
+  return server;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+module.exports = { listen };
@@ -0,0 +1,265 @@
+// ============================================
+// Shared Todo Application (Bun + Node.js)
+// ============================================
+// Boots the app used by BOTH runtimes: loads packages (the measured part),
+// builds the shared route handlers (shared/core.js) and mounts them on the
+// selected server implementation. bun/server.js and nodejs/server.js are thin
+// entrypoints that pass a runtime adapter into startServer(); nothing under
+// shared/ may branch on the runtime, so every benchmark runs byte-identical
+// handler code on Bun and Node.js.
+//
+// Server implementation (SERVER_IMPL env):
+//   express - Express + helmet/compression/cors/morgan (default)
+//   native  - framework-free Bun.serve / node:http
+//   fastify - Fastify
+//   hono    - Hono (Bun.serve / @hono/node-server)
+//   elysia  - Elysia (Bun only)
+//
+// Todo storage (STORAGE env, see shared/todo-store.js):
+//   memory  - in-process array (default)
+//   sqlite  - bun:sqlite / node:sqlite file at SQLITE_PATH
+//             (default <appDir>/data/todos.db)
+//
+// Cluster workers share the primary's memory store over IPC unless
+// CLUSTER_STATE=local (one independent array per worker).
+//
+// Runtime adapter:
+//   name            - 'bun' | 'node' (reported as `runtime`)
+//   version         - runtime version string
+//   require         - the entrypoint's require, so packages resolve from that
+//                     runtime's own node_modules
+//   appDir          - directory holding public/ and startup-timing.json
+//   processStart    - Date.now() captured at the top of the entrypoint
+//   isClustered     - true when running as a cluster worker
+//   modulesLoaded() - number of loaded modules ('N/A' if unavailable)
+//   nativeServer    - { listen({ port, dispatch }, onListen) } socket binding
+//                     for SERVER_IMPL=native
+//   fetchServer()   - lazily loads { listen({ port, fetch }, onListen) } for
+//                     fetch-handler frameworks (SERVER_IMPL=hono)
+//   openSqlite(file) - opens a database with the runtime's built-in SQLite
+//                      driver (STORAGE=sqlite)
+
+const path = require('path');
+const fs = require('fs');
+const { createCore } = require('./core');
+const { createTodoStore } = require('./todo-store');
+const { createProcessMetrics } = require('./process-metrics');
+const { createPrometheus } = require('./prometheus');
+const { createWorkerStats, notifyReady, drainOnSignal } = require('./supervisor');
+
+// Server implementations: each module exports prepare(load, runtime), which
+// loads its framework packages through `load` (the runtime's require) so they
+// are counted in module load time like every other dependency, and returns
+// { listen(routes, { port, appDir, observe }, onListen) }. observe(method,
+// url, status, seconds) gets every response the server sends, also those no
+// route handler produced (shared/prometheus.js).
+const SERVER_IMPLS = {
+  express: './express',
+  native: './native',
+  fastify: './fastify',
+  hono: './hono',
+  elysia: './elysia'
+};
+
+function startServer(runtime) {
+  // ============================================
+  // TIMING INSTRUMENTATION - Process Start
+  // ============================================
+  const PROCESS_START_TIME = runtime.processStart;
+  const PROCESS_START_ISO = new Date(PROCESS_START_TIME).toISOString();
+  console.log(`[TIMING] Process started at: ${PROCESS_START_ISO}`);
+  console.log(`[TIMING] Process start timestamp: ${PROCESS_START_TIME}`);
+
+  const RUNTIME = runtime.name;
+  const RUNTIME_VERSION = runtime.version;
+  const load = runtime.require;
+
+  const SERVER_IMPL = process.env.SERVER_IMPL || 'express';
+  if (!SERVER_IMPLS[SERVER_IMPL]) {
+    throw new Error(`Unknown SERVER_IMPL "${SERVER_IMPL}" (expected: ${Object.keys(SERVER_IMPLS).join(', ')})`);
+  }
+
+  // ============================================
+  // Module Loading - This is what we're measuring
+  // ============================================
+  const MODULE_LOAD_START = Date.now();
+
+  // HTTP server implementation (its framework packages count here too)
+  const serverImpl = require(SERVER_IMPLS[SERVER_IMPL]).prepare(load, runtime);
+
+  // Load MANY packages to simulate real-world enterprise app
+  // Date/Time libraries
+  const _ = load('lodash');
+  const moment = load('moment');
+  const dayjs = load('dayjs');
+  const { format: formatDate } = load('date-fns');
+  const { DateTime } = load('luxon');
+
+  // HTTP clients (not used but loaded)
+  const axios = load('axios');
+
+  // Validation
+  const Joi = load('joi');
+  const yup = load('yup');
+  const { z } = load('zod');
+  const Ajv = load('ajv');
+
+  // ID generation
+  const { v4: uuidv4 } = load('uuid');
+  const { nanoid } = load('nanoid');
+
+  // Logging
+  const winston = load('winston');
+  const pino = load('pino');
+
+  // State management (loaded but not used)
+  const { createStore } = load('redux');
+  const { createSlice } = load('@reduxjs/toolkit');
+  const { produce } = load('immer');
+
+  // Utilities
+  const classnames = load('classnames');
+  const { Map, List } = load('immutable');
+  const R = load('ramda');
+  const { Subject } = load('rxjs');
+  const Bluebird = load('bluebird');
+  const async = load('async');
+  const EventEmitter3 = load('eventemitter3');
+
+  // More utilities
+  const semver = load('semver');
+  const { glob } = load('glob');
+  const debug = load('debug')('app');
+  const ms = load('ms');
+  const bytes = load('bytes');
+  const qs = load('qs');
+
+  // Load dotenv
+  load('dotenv').config({ path: path.join(runtime.appDir, '..', '.env') });
+
+  const MODULE_LOAD_END = Date.now();
+  const MODULE_LOAD_TIME = MODULE_LOAD_END - MODULE_LOAD_START;
+  console.log(`[TIMING] Module loading time: ${MODULE_LOAD_TIME}ms`);
+  console.log(`[RUNTIME] Running on: ${RUNTIME} ${RUNTIME_VERSION}`);
+
+  // Snapshot once so /api/health costs the same on both runtimes
+  const modulesLoaded = runtime.modulesLoaded();
+  console.log(`[TIMING] Modules loaded: ${modulesLoaded}`);
+
+  // ============================================
+  // Logger Setup
+  // ============================================
+  const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+      winston.format.timestamp(),
+      winston.format.json()
+    ),
+    transports: [
+      new winston.transports.Console({
+        format: winston.format.simple()
+      })
+    ]
+  });
+
+  // ============================================
+  // Todo Storage
+  // ============================================
+  const store = createTodoStore(process.env.STORAGE || 'memory', runtime);
+  console.log(`[STORAGE] Using ${store.kind} (${store.backend}${store.location ? `: ${store.location}` : ''})`);
+
+  // ============================================
+  // Shared Route Handlers
+  // ============================================
+  const processMetrics = createProcessMetrics();
+  const prometheus = createPrometheus(processMetrics, runtime.isClustered
+    ? { runtime: RUNTIME, role: 'worker', worker_id: process.env.WORKER_ID }
+    : { runtime: RUNTIME });
+  const core = createCore({
+    runtime,
+    serverImpl: SERVER_IMPL,
+    store,
+    startup: {
+      processStart: PROCESS_START_TIME,
+      processStartIso: PROCESS_START_ISO,
+      moduleLoadMs: MODULE_LOAD_TIME,
+      modulesLoaded
+    },
+    modules: { moment, dayjs, uuidv4, Joi },
+    processMetrics,
+    prometheus
+  });
+
+  // Requests served count towards the process metrics; cluster workers also
+  // count them per route for the primary's supervisor stats. The server
+  // implementation reports every response it sends to Prometheus (observe).
+  let routes = processMetrics.countRequests(core.routes);
+  if (runtime.isClustered) {
+    const workerStats = createWorkerStats(processMetrics, prometheus);
+    routes = workerStats.countRoutes(routes);
+    workerStats.reportToPrimary();
+  }
+
+  // ============================================
+  // Start Server
+  // ============================================
+  const PORT = process.env.PORT || 8080;
+
+  const observe = prometheus.observer(core.routes);
+  const server = serverImpl.listen(routes, { port: PORT, appDir: runtime.appDir, observe }, () => {
+    const READY_TIME = Date.now();
+    const TOTAL_STARTUP_MS = READY_TIME - PROCESS_START_TIME;
+
+    console.log('');
+    console.log('============================================');
+    console.log('[TIMING] STARTUP METRICS (No Database)');
+    console.log('============================================');
+    console.log(`[TIMING] Runtime: ${RUNTIME} ${RUNTIME_VERSION}`);
+    console.log(`[TIMING] Server implementation: ${SERVER_IMPL}`);
+    console.log(`[TIMING] Storage: ${store.kind}`);
+    console.log(`[TIMING] Process started at: ${PROCESS_START_ISO}`);
+    console.log(`[TIMING] App ready at: ${new Date().toISOString()}`);
+    console.log(`[TIMING] Module loading: ${MODULE_LOAD_TIME}ms`);
+    console.log(`[TIMING] Modules loaded: ${modulesLoaded}`);
+    console.log(`[TIMING] Total startup time: ${TOTAL_STARTUP_MS}ms`);
+    console.log('============================================');
+    console.log(`Server running on http://localhost:${PORT}`);
+    console.log('============================================');
+    console.log('');
+
+    // Write timing to file
+    const timingData = {
+      process_start: PROCESS_START_ISO,
+      ready_at: new Date().toISOString(),
+      module_load_ms: MODULE_LOAD_TIME,
+      modules_loaded: modulesLoaded,
+      total_startup_ms: TOTAL_STARTUP_MS,
+      runtime: RUNTIME,
+      runtime_version: RUNTIME_VERSION,
+      server_impl: SERVER_IMPL,
+      storage: store.kind,
+      storage_backend: store.backend
+    };
+
+    try {
+      fs.writeFileSync(
+        path.join(runtime.appDir, 'startup-timing.json'),
+        JSON.stringify(timingData, null, 2)
+      );
+    } catch (e) {
+      // Ignore file write errors
+    }
+
+    logger.info(`Server started in ${TOTAL_STARTUP_MS}ms`);
+
+    // Cluster primary waits for this before retiring a worker on SIGHUP
+    if (runtime.isClustered) notifyReady();
+  });
+
+  // Clustered workers drain in-flight requests when the primary stops them
+  if (runtime.isClustered) drainOnSignal(server);
+
+  return { core, server };
+}
+
+module.exports = { startServer };
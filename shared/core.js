@@ -0,0 +1,371 @@
+// ============================================
+// Shared Route Handlers (framework-free)
+// ============================================
+// The todo/benchmark API contract, written once. Every server implementation
+// (Express, native, Fastify, Hono, Elysia) mounts the same ROUTES table and
+// only translates the plain response descriptors returned here:
+//
+//   { status, json }               - JSON body
+//   { status, headers, payload }   - raw Buffer body
+//
+// Handlers receive (params, body) where params are the matched path params
+// and body is the parsed JSON object (route.body === 'json') or the raw
+// Buffer (route.body === 'raw'). Todos live in ctx.store (shared/todo-store.js);
+// ctx.processMetrics (shared/process-metrics.js) measures this process and
+// ctx.prometheus (shared/prometheus.js) exports it. Routes marked
+// `monitoring` are left out of the request counters.
+
+function createCore(ctx) {
+  const { runtime, serverImpl, store, startup, modules, processMetrics, prometheus } = ctx;
+  const { moment, dayjs, uuidv4, Joi } = modules;
+
+  const RUNTIME = runtime.name;
+  const RUNTIME_VERSION = runtime.version;
+
+  // Cluster info (set by cluster.js primary process)
+  const IS_CLUSTERED = runtime.isClustered;
+  const WORKER_ID = process.env.WORKER_ID ? parseInt(process.env.WORKER_ID) : null;
+  const WORKERS_TOTAL = process.env.WORKERS_TOTAL ? parseInt(process.env.WORKERS_TOTAL) : null;
+
+  // ============================================
+  // Validation Schema
+  // ============================================
+  const todoSchema = Joi.object({
+    title: Joi.string().min(1).max(255).required()
+  });
+
+  // ============================================
+  // API Routes
+  // ============================================
+
+  // Health check with timing info
+  async function health() {
+    const uptime = Date.now() - startup.processStart;
+    return {
+      status: 200,
+      json: {
+        status: 'healthy',
+        runtime: RUNTIME,
+        runtime_version: RUNTIME_VERSION,
+        server_impl: serverImpl,
+        storage: store.kind,
+        storage_backend: store.backend,
+        // Cluster info
+        cluster_mode: IS_CLUSTERED,
+        worker_id: WORKER_ID,
+        workers_total: WORKERS_TOTAL,
+        process_id: process.pid,
+        // Timing info
+        uptime_ms: uptime,
+        uptime_formatted: moment.duration(uptime).humanize(),
+        module_load_ms: startup.moduleLoadMs,
+        modules_loaded: startup.modulesLoaded,
+        process_start: startup.processStartIso,
+        current_time: dayjs().format('YYYY-MM-DD HH:mm:ss'),
+        request_id: uuidv4(),
+        todo_count: await store.count()
+      }
+    };
+  }
+
+  // Get all todos
+  async function listTodos() {
+    return { status: 200, json: await store.list() };
+  }
+
+  // Get a single todo
+  async function getTodo(params) {
+    const todo = await store.get(parseInt(params.id, 10));
+
+    if (!todo) {
+      return { status: 404, json: { error: 'Todo not found' } };
+    }
+
+    return { status: 200, json: todo };
+  }
+
+  // Create a new todo
+  async function createTodo(params, body) {
+    const { error, value } = todoSchema.validate(body);
+    if (error) {
+      return { status: 400, json: { error: error.details[0].message } };
+    }
+
+    const todo = await store.create(value.title);
+    return { status: 201, json: todo };
+  }
+
+  // Toggle todo completion
+  async function toggleTodo(params) {
+    const todo = await store.toggle(parseInt(params.id, 10));
+
+    if (!todo) {
+      return { status: 404, json: { error: 'Todo not found' } };
+    }
+
+    return { status: 200, json: todo };
+  }
+
+  // Delete a todo
+  async function deleteTodo(params) {
+    if (!(await store.remove(parseInt(params.id, 10)))) {
+      return { status: 404, json: { error: 'Todo not found' } };
+    }
+
+    return { status: 200, json: { message: 'Todo deleted successfully' } };
+  }
+
+  // ============================================
+  // CPU-Heavy Benchmark Endpoints
+  // ============================================
+
+  // CPU-Heavy endpoint: Generate and sort 100,000 numbers (matches Strapi article test)
+  function cpuHeavy() {
+    const startTime = Date.now();
+
+    // Generate 100,000 random numbers
+    const numbers = [];
+    for (let i = 0; i < 100000; i++) {
+      numbers.push(Math.random() * 1000000);
+    }
+
+    // Sort them
+    numbers.sort((a, b) => a - b);
+
+    const duration = Date.now() - startTime;
+
+    return {
+      status: 200,
+      json: {
+        runtime: RUNTIME,
+        runtime_version: RUNTIME_VERSION,
+        operation: 'generate_and_sort_100k_numbers',
+        duration_ms: duration,
+        array_length: numbers.length,
+        first_5: numbers.slice(0, 5),
+        last_5: numbers.slice(-5)
+      }
+    };
+  }
+
+  // Fibonacci endpoint (recursive, CPU intensive)
+  function fibonacci(params) {
+    const n = Math.min(parseInt(params.n) || 40, 45); // Cap at 45 to prevent timeout
+    const startTime = Date.now();
+
+    function fib(num) {
+      if (num <= 1) return num;
+      return fib(num - 1) + fib(num - 2);
+    }
+
+    const result = fib(n);
+    const duration = Date.now() - startTime;
+
+    return {
+      status: 200,
+      json: {
+        runtime: RUNTIME,
+        runtime_version: RUNTIME_VERSION,
+        operation: 'fibonacci',
+        n: n,
+        result: result,
+        duration_ms: duration
+      }
+    };
+  }
+
+  // ============================================
+  // Network Throughput Benchmark Endpoints
+  // ============================================
+
+  // Download endpoint - Test EGRESS throughput
+  // Returns a payload of specified size in KB (default 100KB, max 10MB)
+  function download(params) {
+    const sizeKB = Math.min(parseInt(params.sizeKB) || 100, 10240);
+    const payload = Buffer.alloc(sizeKB * 1024, 'X');
+
+    return {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': String(payload.length),
+        'X-Payload-Size-KB': String(sizeKB),
+        'X-Runtime': RUNTIME
+      },
+      payload
+    };
+  }
+
+  // Upload endpoint - Test INBOUND throughput
+  // Accepts any payload and reports size received
+  function upload(params, body) {
+    const startTime = Date.now();
+    const bytesReceived = body ? body.length : 0;
+    const duration = Date.now() - startTime;
+
+    return {
+      status: 200,
+      json: {
+        runtime: RUNTIME,
+        runtime_version: RUNTIME_VERSION,
+        bytes_received: bytesReceived,
+        kb_received: (bytesReceived / 1024).toFixed(2),
+        mb_received: (bytesReceived / (1024 * 1024)).toFixed(4),
+        duration_ms: duration
+      }
+    };
+  }
+
+  // Concurrent connections test endpoint
+  // Holds connection open for specified duration to test max concurrent connections
+  async function hold(params) {
+    const duration = Math.min(parseInt(params.durationMs) || 1000, 30000); // Max 30s
+    const startTime = Date.now();
+
+    await new Promise(resolve => setTimeout(resolve, duration));
+
+    return {
+      status: 200,
+      json: {
+        runtime: RUNTIME,
+        runtime_version: RUNTIME_VERSION,
+        held_duration_ms: Date.now() - startTime,
+        requested_duration_ms: duration
+      }
+    };
+  }
+
+  // ============================================
+  // JSON Processing Benchmark Endpoints
+  // ============================================
+
+  // JSON benchmark endpoint
+  // Tests: JSON.stringify + JSON.parse performance
+  function jsonBenchmark(params) {
+    const size = params.size || 'medium'; // small, medium, large
+    const startTime = process.hrtime.bigint();
+
+    // Generate JSON based on size
+    let depth, breadth;
+    switch (size) {
+      case 'small':
+        depth = 3; breadth = 5;
+        break;
+      case 'large':
+        depth = 6; breadth = 15;
+        break;
+      default: // medium
+        depth = 5; breadth = 10;
+    }
+
+    // Generate complex object
+    const obj = generateComplexJson(depth, breadth);
+    const generateTime = process.hrtime.bigint();
+
+    // Stringify
+    const jsonString = JSON.stringify(obj);
+    const stringifyTime = process.hrtime.bigint();
+
+    // Parse back
+    const parsed = JSON.parse(jsonString);
+    const parseTime = process.hrtime.bigint();
+
+    const totalTime = process.hrtime.bigint();
+
+    return {
+      status: 200,
+      json: {
+        runtime: RUNTIME,
+        size,
+        json_bytes: Buffer.byteLength(jsonString),
+        json_kb: (Buffer.byteLength(jsonString) / 1024).toFixed(2),
+        timings_ms: {
+          generate: Number(generateTime - startTime) / 1e6,
+          stringify: Number(stringifyTime - generateTime) / 1e6,
+          parse: Number(parseTime - stringifyTime) / 1e6,
+          total: Number(totalTime - startTime) / 1e6
+        }
+      }
+    };
+  }
+
+  // ============================================
+  // Resource Metrics
+  // ============================================
+
+  // CPU time, memory and event loop lag of the process answering, sampled
+  // by the load tester while a benchmark runs
+  function metrics() {
+    return {
+      status: 200,
+      json: {
+        runtime: RUNTIME,
+        ...processMetrics.sample()
+      }
+    };
+  }
+
+  // The same in Prometheus text format, plus request counters and latency
+  // histograms per route and status code
+  function prometheusMetrics() {
+    const payload = Buffer.from(prometheus.render());
+    return {
+      status: 200,
+      headers: {
+        'Content-Type': prometheus.contentType,
+        'Content-Length': String(payload.length)
+      },
+      payload
+    };
+  }
+
+  // Route table mounted by every server implementation.
+  // Paths use `:param` / `:param?` syntax understood by all of them.
+  const routes = [
+    { method: 'GET', path: '/api/health', handle: health },
+    { method: 'GET', path: '/api/todos', handle: listTodos },
+    { method: 'POST', path: '/api/todos', body: 'json', handle: createTodo },
+    { method: 'GET', path: '/api/todos/:id', handle: getTodo },
+    { method: 'PATCH', path: '/api/todos/:id', handle: toggleTodo },
+    { method: 'DELETE', path: '/api/todos/:id', handle: deleteTodo },
+    { method: 'GET', path: '/api/cpu-heavy', handle: cpuHeavy },
+    { method: 'GET', path: '/api/fibonacci/:n', handle: fibonacci },
+    { method: 'GET', path: '/api/network/download/:sizeKB?', handle: download },
+    { method: 'POST', path: '/api/network/upload', body: 'raw', handle: upload },
+    { method: 'GET', path: '/api/network/hold/:durationMs?', handle: hold },
+    { method: 'GET', path: '/api/json-benchmark/:size?', handle: jsonBenchmark },
+    { method: 'GET', path: '/api/metrics', handle: metrics, monitoring: true },
+    { method: 'GET', path: '/metrics', handle: prometheusMetrics, monitoring: true }
+  ];
+
+  return { routes };
+}
+
+// ============================================
+// JSON Processing Helpers
+// ============================================
+
+// Generate a complex nested JSON object
+function generateComplexJson(depth = 5, breadth = 10) {
+  if (depth === 0) {
+    return {
+      id: Math.random().toString(36).substring(7),
+      value: Math.random() * 1000,
+      timestamp: Date.now(),
+      tags: Array(5).fill(0).map(() => Math.random().toString(36).substring(7))
+    };
+  }
+
+  const obj = {
+    level: depth,
+    children: []
+  };
+
+  for (let i = 0; i < breadth; i++) {
+    obj.children.push(generateComplexJson(depth - 1, Math.max(2, breadth - 2)));
+  }
+
+  return obj;
+}
+
+module.exports = { createCore };
@@ -0,0 +1,60 @@
+// ============================================
+// Elysia Server Implementation (Bun only)
+// ============================================
+// Mounts the shared route table (shared/core.js) on Elysia, which is built
+// on Bun.serve and is not installed in the Node.js app.
+// Selected with SERVER_IMPL=elysia.
+
+// Server implementation interface: see SERVER_IMPLS in shared/app.js
+function prepare(load, runtime) {
+  let Elysia;
+  try {
+    ({ Elysia } = load('elysia'));
+  } catch (error) {
+    throw new Error(`SERVER_IMPL=elysia is only available on Bun (${runtime.name}: ${error.message})`);
+  }
+
+  function listen(routes, { port, observe }, onListen) {
+    const app = new Elysia();
+
+    // Every response, also Elysia's own 400s, 404s and 500s
+    // (shared/prometheus.js). set.status is not updated for a Response a
+    // handler returned.
+    const started = new WeakMap();
+    app.onRequest(({ request }) => {
+      started.set(request, performance.now());
+    });
+    app.onAfterResponse(({ request, set, responseValue }) => {
+      const status = responseValue instanceof Response ? responseValue.status : set.status;
+      observe(request.method, request.url, status, (performance.now() - started.get(request)) / 1000);
+    });
+
+    for (const route of routes) {
+      const hook = route.body === 'raw'
+        ? { parse: 'arrayBuffer' }
+        : route.body === 'json' ? { parse: 'json' } : undefined;
+
+      app.route(route.method, route.path, async ({ params, body, set }) => {
+        const input = route.body === 'raw'
+          ? Buffer.from(body || new ArrayBuffer(0))
+          : route.body === 'json' ? (body || {}) : undefined;
+
+        const result = await route.handle(params, input);
+        if (result.payload) {
+          return new Response(result.payload, { status: result.status, headers: result.headers });
+        }
+        set.status = result.status;
+        return result.json;
+      }, hook);
+    }
+
+    // Seconds; matches the 65s keep-alive used on Node.js
+    // reusePort: bun/cluster.js workers are separate processes sharing the port
+    app.listen({ port: Number(port), idleTimeout: 65, reusePort: true }, () => onListen());
+    return app.server;
+  }
+
+  return { listen };
+}
+
+module.exports = { prepare };
@@ -0,0 +1,84 @@
+// ============================================
+// Express Server Implementation (default)
+// ============================================
+// Mounts the shared route table (shared/core.js) on Express with the full
+// production middleware stack: helmet, compression, cors, morgan and body
+// parsers. Selected with SERVER_IMPL=express.
+
+const path = require('path');
+
+// Server implementation interface: see SERVER_IMPLS in shared/app.js
+function prepare(load) {
+  // Core Express packages
+  const express = load('express');
+  const cors = load('cors');
+  const helmet = load('helmet');
+  const compression = load('compression');
+  const morgan = load('morgan');
+
+  function listen(routes, { port, appDir, observe }, onListen) {
+    const app = express();
+
+    // Every response, once written (shared/prometheus.js)
+    app.use((req, res, next) => {
+      const start = performance.now();
+      res.on('finish', () => observe(req.method, req.originalUrl, res.statusCode, (performance.now() - start) / 1000));
+      next();
+    });
+
+    // Middleware
+    app.use(helmet({
+      contentSecurityPolicy: false
+    }));
+    app.use(compression());
+    app.use(cors());
+    app.use(morgan('combined'));
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+
+    // Serve static files
+    app.use(express.static(path.join(appDir, 'public')));
+
+    // Shared API routes
+    for (const route of routes) {
+      const parsers = route.body === 'raw'
+        ? [express.raw({ type: '*/*', limit: '50mb' })]
+        : [];
+
+      app[route.method.toLowerCase()](route.path, ...parsers, (req, res, next) => {
+        Promise.resolve(route.handle(req.params, req.body))
+          .then(result => send(res, result))
+          .catch(next);
+      });
+    }
+
+    // Serve React app for all other routes
+    app.get('*', (req, res) => {
+      res.sendFile(path.join(appDir, 'public', 'index.html'));
+    });
+
+    const server = app.listen(port, onListen);
+
+    // Keep-alive tuning for gVisor/cloud environments
+    // Reduces TCP connection churn and syscall overhead
+    server.keepAliveTimeout = 65000; // 65 seconds (longer than ALB default of 60s)
+    server.headersTimeout = 66000;   // Slightly longer than keepAliveTimeout
+
+    return server;
+  }
+
+  return { listen };
+}
+
+// Translate a shared response descriptor to an Express response
+function send(res, result) {
+  res.status(result.status);
+  if (result.headers) res.set(result.headers);
+  if (result.payload) {
+    res.send(result.payload);
+  } else {
+    res.json(result.json);
+  }
+}
+
+module.exports = { prepare };
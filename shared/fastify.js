@@ -0,0 +1,64 @@
+// ============================================
+// Fastify Server Implementation
+// ============================================
+// Mounts the shared route table (shared/core.js) on Fastify with its
+// default JSON parser plus a raw buffer parser for uploads.
+// Selected with SERVER_IMPL=fastify (Bun and Node.js).
+
+// Server implementation interface: see SERVER_IMPLS in shared/app.js
+function prepare(load) {
+  const Fastify = load('fastify');
+
+  function listen(routes, { port, observe }, onListen) {
+    const app = Fastify({
+      logger: false,
+      bodyLimit: 50 * 1024 * 1024,
+      // Same keep-alive tuning as the Express implementation
+      keepAliveTimeout: 65000,
+      // Requests Fastify rejects before routing (a malformed URL) skip the
+      // onResponse hook below; count them here
+      frameworkErrors(error, request, reply) {
+        const start = performance.now();
+        reply.send(error);
+        observe(request.method, request.url, reply.statusCode, (performance.now() - start) / 1000);
+      }
+    });
+
+    // Every response, once sent (shared/prometheus.js)
+    app.addHook('onResponse', (request, reply, done) => {
+      observe(request.method, request.url, reply.statusCode, reply.elapsedTime / 1000);
+      done();
+    });
+
+    // Uploads arrive as application/octet-stream (or anything non-JSON)
+    app.addContentTypeParser('*', { parseAs: 'buffer' }, (req, body, done) => {
+      done(null, body);
+    });
+
+    for (const route of routes) {
+      app.route({
+        method: route.method,
+        url: route.path,
+        handler: async (request, reply) => {
+          const result = await route.handle(request.params, request.body);
+          reply.code(result.status);
+          if (result.headers) reply.headers(result.headers);
+          return result.payload || result.json;
+        }
+      });
+    }
+
+    app.listen({ port: Number(port), host: '0.0.0.0' })
+      .then(() => onListen())
+      .catch(error => {
+        console.error('[FASTIFY] Failed to start:', error);
+        process.exit(1);
+      });
+
+    return app.server;
+  }
+
+  return { listen };
+}
+
+module.exports = { prepare };
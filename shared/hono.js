@@ -0,0 +1,52 @@
+// ============================================
+// Hono Server Implementation
+// ============================================
+// Mounts the shared route table (shared/core.js) on Hono. Hono only builds
+// a fetch handler; the runtime adapter serves it (runtime.fetchServer():
+// Bun.serve on Bun, @hono/node-server on Node.js).
+// Selected with SERVER_IMPL=hono (Bun and Node.js).
+
+// Server implementation interface: see SERVER_IMPLS in shared/app.js
+function prepare(load, runtime) {
+  const { Hono } = load('hono');
+  const fetchServer = runtime.fetchServer();
+
+  function listen(routes, { port, observe }, onListen) {
+    const app = new Hono();
+
+    // Every response, also Hono's own 404s and 500s (shared/prometheus.js)
+    app.use('*', async (c, next) => {
+      const start = performance.now();
+      await next();
+      observe(c.req.method, c.req.url, c.res.status, (performance.now() - start) / 1000);
+    });
+
+    for (const route of routes) {
+      app.on(route.method, route.path, async (c) => {
+        let body;
+        if (route.body === 'raw') {
+          body = Buffer.from(await c.req.arrayBuffer());
+        } else if (route.body === 'json') {
+          const raw = await c.req.text();
+          try {
+            body = raw.length > 0 ? JSON.parse(raw) : {};
+          } catch (e) {
+            return c.json({ error: 'Invalid JSON body' }, 400);
+          }
+        }
+
+        const result = await route.handle(c.req.param(), body);
+        if (result.payload) {
+          return c.body(result.payload, result.status, result.headers);
+        }
+        return c.json(result.json, result.status);
+      });
+    }
+
+    return fetchServer.listen({ port, fetch: app.fetch }, onListen);
+  }
+
+  return { listen };
+}
+
+module.exports = { prepare };
@@ -0,0 +1,115 @@
+// ============================================
+// Native Server Implementation (no framework)
+// ============================================
+// Serves the shared route table (shared/core.js) directly on the runtime's
+// own HTTP server - Bun.serve on Bun, node:http on Node.js - with no
+// middleware, so results isolate runtime cost from Express/helmet/
+// compression/cors/morgan cost. Selected with SERVER_IMPL=native.
+//
+// Routing and serialization live here so both runtimes do identical work;
+// the runtime adapter only supplies the socket binding
+// (runtime.nativeServer.listen, see bun/native-server.js and
+// nodejs/native-server.js).
+
+const JSON_HEADERS = { 'Content-Type': 'application/json; charset=utf-8' };
+
+function prepare(load, runtime) {
+  function listen(routes, { port, observe }, onListen) {
+    const dispatch = createDispatcher(routes, observe);
+    return runtime.nativeServer.listen({ port, dispatch }, onListen);
+  }
+
+  return { listen };
+}
+
+// Compile '/api/todos/:id' and '/api/json-benchmark/:size?' style paths
+function compilePath(routePath) {
+  const keys = [];
+  const pattern = routePath.replace(/\/:(\w+)(\?)?/g, (match, key, optional) => {
+    keys.push(key);
+    return optional ? '(?:/([^/]+))?' : '/([^/]+)';
+  });
+  return { regex: new RegExp(`^${pattern}/?$`), keys };
+}
+
+// Extract the pathname from either an absolute URL (Bun) or a request
+// target (node:http) without allocating a URL object
+function pathnameOf(url) {
+  let start = 0;
+  if (url.charCodeAt(0) !== 47 /* '/' */) {
+    start = url.indexOf('/', url.indexOf('//') + 2);
+    if (start === -1) return '/';
+  }
+  const query = url.indexOf('?', start);
+  return query === -1 ? url.slice(start) : url.slice(start, query);
+}
+
+// Returns dispatch(method, url, readBody) -> { status, headers, body }
+// readBody() resolves to a Buffer and is only called for routes with a body.
+// dispatch() never rejects: a malformed path parameter is a 400 and a
+// handler or body read that throws is a 500, so one bad request cannot take
+// the server down. Every response is reported to observe() (see
+// shared/prometheus.js).
+function createDispatcher(routes, observe) {
+  const compiled = routes.map(route => ({ route, ...compilePath(route.path) }));
+
+  return async function dispatch(method, url, readBody) {
+    const start = performance.now();
+    const result = await respond(method, pathnameOf(url), readBody);
+    observe(method, url, result.status, (performance.now() - start) / 1000);
+    return result;
+  };
+
+  async function respond(method, pathname, readBody) {
+    for (const { route, regex, keys } of compiled) {
+      if (route.method !== method) continue;
+      const match = regex.exec(pathname);
+      if (!match) continue;
+
+      try {
+        const params = {};
+        keys.forEach((key, i) => {
+          if (match[i + 1] !== undefined) params[key] = decodeURIComponent(match[i + 1]);
+        });
+
+        let body;
+        if (route.body === 'raw') {
+          body = await readBody();
+        } else if (route.body === 'json') {
+          const raw = await readBody();
+          try {
+            body = raw.length > 0 ? JSON.parse(raw.toString('utf8')) : {};
+          } catch (e) {
+            return serialize({ status: 400, json: { error: 'Invalid JSON body' } });
+          }
+        }
+
+        return serialize(await route.handle(params, body));
+      } catch (error) {
+        if (error instanceof URIError) {
+          return serialize({ status: 400, json: { error: 'Malformed URL' } });
+        }
+        console.error(`[NATIVE] ${method} ${pathname} failed: ${error.message}`);
+        return serialize({ status: 500, json: { error: 'Internal server error' } });
+      }
+    }
+
+    return serialize({ status: 404, json: { error: 'Not found' } });
+  }
+}
+
+// Turn a shared response descriptor into status/headers/body bytes
+function serialize(result) {
+  if (result.payload) {
+    return { status: result.status, headers: result.headers, body: result.payload };
+  }
+
+  const body = JSON.stringify(result.json);
+  return {
+    status: result.status,
+    headers: { ...JSON_HEADERS, 'Content-Length': String(Buffer.byteLength(body)) },
+    body
+  };
+}
+
+module.exports = { prepare, compilePath, pathnameOf };
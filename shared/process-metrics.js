@@ -0,0 +1,117 @@
+// ============================================
+// Process Metrics (CPU, memory, event loop lag)
+// ============================================
+// What one app process spends serving the benchmark, sampled by the load
+// tester while a test runs. GET /api/metrics (shared/core.js) reports the
+// process that answers it; in clustered mode the supervisor's GET /metrics
+// (shared/supervisor.js) collects it from the primary and every worker.
+//
+//   pid, worker_id, uptime_ms
+//   cpu_user_ms, cpu_system_ms  - CPU time since the process started
+//   rss_bytes, heap_used_bytes, heap_total_bytes
+//   event_loop_lag_ms           - { mean, p99, max } over the last
+//                                 LAG_WINDOW_MS (null until the probe ticked)
+//   active_handles              - null where the runtime does not track
+//                                 them (Bun lists none)
+//   requests_total              - requests served, monitoring routes
+//                                 (route.monitoring) excluded
+//
+// Event loop lag is how late a LAG_INTERVAL_MS timer fires. It is measured
+// the same way on both runtimes, since perf_hooks' monitorEventLoopDelay()
+// reports differently on Bun and Node.js. The timer is unref'd so it never
+// keeps a draining worker alive.
+//
+// The probe costs the benchmarked process a timer wakeup every 10ms and up
+// to 100 stored samples, so it only runs while someone reads the metrics:
+// the first sample() starts it (that sample has no lag yet), and it stops
+// once nothing was sampled for LAG_IDLE_MS.
+
+const LAG_INTERVAL_MS = 10;
+const LAG_WINDOW_MS = 1000;
+const LAG_IDLE_MS = 30000;
+
+function createProcessMetrics() {
+  const lags = []; // [at, lag ms], oldest first
+  let requestsTotal = 0;
+  let expected = 0;
+  let probing = false;
+  let lastSampled = 0;
+
+  function scheduleLag() {
+    expected = performance.now() + LAG_INTERVAL_MS;
+    const timer = setTimeout(measureLag, LAG_INTERVAL_MS);
+    if (typeof timer.unref === 'function') timer.unref();
+  }
+
+  function measureLag() {
+    const now = performance.now();
+    if (now - lastSampled > LAG_IDLE_MS) {
+      probing = false;
+      lags.length = 0;
+      return;
+    }
+
+    lags.push([now, Math.max(0, now - expected)]);
+    while (now - lags[0][0] > LAG_WINDOW_MS) lags.shift();
+    scheduleLag();
+  }
+
+  // Count the requests served by the route table's handlers
+  function countRequests(routes) {
+    return routes.map((route) => {
+      if (route.monitoring) return route;
+      return {
+        ...route,
+        handle(params, body) {
+          requestsTotal++;
+          return route.handle(params, body);
+        }
+      };
+    });
+  }
+
+  function eventLoopLag() {
+    if (lags.length === 0) return null;
+    const values = lags.map(([, lag]) => lag).sort((a, b) => a - b);
+    const round = value => +value.toFixed(3);
+    return {
+      mean: round(values.reduce((sum, value) => sum + value, 0) / values.length),
+      p99: round(values[Math.min(values.length - 1, Math.floor(values.length * 0.99))]),
+      max: round(values[values.length - 1])
+    };
+  }
+
+  function sample() {
+    lastSampled = performance.now();
+    if (!probing) {
+      probing = true;
+      scheduleLag();
+    }
+
+    const cpu = process.cpuUsage();
+    const memory = process.memoryUsage();
+    // The lag timer alone is an active resource: an empty list means the
+    // runtime does not report them
+    const resources = typeof process.getActiveResourcesInfo === 'function'
+      ? process.getActiveResourcesInfo().length
+      : 0;
+
+    return {
+      pid: process.pid,
+      worker_id: process.env.WORKER_ID ? parseInt(process.env.WORKER_ID) : null,
+      uptime_ms: Math.round(process.uptime() * 1000),
+      cpu_user_ms: cpu.user / 1000,
+      cpu_system_ms: cpu.system / 1000,
+      rss_bytes: memory.rss,
+      heap_used_bytes: memory.heapUsed,
+      heap_total_bytes: memory.heapTotal,
+      event_loop_lag_ms: eventLoopLag(),
+      active_handles: resources > 0 ? resources : null,
+      requests_total: requestsTotal
+    };
+  }
+
+  return { countRequests, sample };
+}
+
+module.exports = { createProcessMetrics };
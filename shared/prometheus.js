@@ -0,0 +1,179 @@
+// ============================================
+// Prometheus Metrics (text exposition format)
+// ============================================
+// GET /metrics on the app port (shared/core.js) serves the registry of the
+// process that answers it. A cluster worker is picked per connection, so
+// scrape a cluster on the supervisor's admin port instead (GET /prometheus,
+// shared/supervisor.js): it merges the primary's and every worker's samples
+// into one response, told apart by their `role` and `worker_id` labels.
+//
+//   http_requests_total{method, route, status}           - counter
+//   http_request_duration_seconds{method, route, status} - histogram
+//   process_cpu_user_seconds_total, process_cpu_system_seconds_total
+//   process_start_time_seconds, process_resident_memory_bytes
+//   process_heap_used_bytes, process_heap_total_bytes
+//   process_event_loop_lag_{mean,p99,max}_seconds        - last second
+//   process_active_handles                               - where tracked
+//   process_gc_total{kind}, process_gc_duration_seconds_total{kind}
+//                                                        - where the runtime
+//                                                          reports GC (Node.js)
+//
+// Every response the server implementation sends is counted, also those no
+// route handler produced (unknown paths, bodies that do not parse, handlers
+// that throw). The implementation times it from receiving the request to
+// handing over the response and reports it to observer(); the route label is
+// the route table's path the request matches ('/api/todos/:id'), or
+// 'unmatched'. Monitoring routes (route.monitoring) are not counted. GC is
+// only observed from the first scrape on, so benchmark runs that nobody
+// scrapes do not pay for it.
+
+const { PerformanceObserver } = require('perf_hooks');
+const { compilePath, pathnameOf } = require('./native');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DURATION_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const GC_KINDS = { 1: 'minor', 4: 'major', 8: 'incremental', 16: 'weakcb' };
+
+// labels are added to every sample, e.g. { runtime, role, worker_id }
+function createPrometheus(processMetrics, labels) {
+  const requests = new Map(); // 'METHOD route status' -> series
+  let gc = null; // kind -> { count, seconds }, once the first scrape started it
+
+  function observe(method, route, status, seconds) {
+    const key = `${method} ${route} ${status}`;
+    let series = requests.get(key);
+    if (!series) {
+      series = {
+        labels: { method, route, status: String(status) },
+        buckets: DURATION_BUCKETS.map(() => 0), // per bucket, not cumulative
+        sum: 0,
+        count: 0
+      };
+      requests.set(key, series);
+    }
+
+    series.count++;
+    series.sum += seconds;
+    const bucket = DURATION_BUCKETS.findIndex(le => seconds <= le);
+    if (bucket !== -1) series.buckets[bucket]++;
+  }
+
+  // observe(method, url, status, seconds) for the server implementations:
+  // matches the request to the route table the way the native server does,
+  // so every implementation labels its responses the same
+  function observer(routes) {
+    const compiled = routes.map(route => ({ route, ...compilePath(route.path) }));
+
+    return function observeResponse(method, url, status, seconds) {
+      const pathname = pathnameOf(url);
+      const match = compiled.find(({ route, regex }) => route.method === method && regex.test(pathname));
+      if (match && match.route.monitoring) return;
+      observe(method, match ? match.route.path : 'unmatched', status, seconds);
+    };
+  }
+
+  function observeGc() {
+    if (gc || !(PerformanceObserver.supportedEntryTypes || []).includes('gc')) return;
+
+    gc = {};
+    const observer = new PerformanceObserver((list) => {
+      for (const entry of list.getEntries()) {
+        const kind = GC_KINDS[entry.detail ? entry.detail.kind : entry.kind] || 'other';
+        const totals = gc[kind] || (gc[kind] = { count: 0, seconds: 0 });
+        totals.count++;
+        totals.seconds += entry.duration / 1000;
+      }
+    });
+    observer.observe({ entryTypes: ['gc'] });
+  }
+
+  // Metric families of this process: { name, type, help, samples }, each
+  // sample [name, labels, value]. Plain data, so a cluster primary can merge
+  // its workers' families (see render()).
+  function collect() {
+    observeGc();
+    const sample = processMetrics.sample();
+    const families = [];
+    const family = (name, type, help, values) => {
+      families.push({ name, type, help, samples: values.map(([suffix, extra, value]) => [name + suffix, { ...labels, ...extra }, value]) });
+    };
+    const seconds = ms => +(ms / 1000).toFixed(6);
+    const gauge = (name, help, value) => {
+      if (value !== null && value !== undefined) family(name, 'gauge', help, [['', {}, value]]);
+    };
+
+    const series = [...requests.values()];
+    family('http_requests_total', 'counter', 'HTTP requests served, by route and status code',
+      series.map(s => ['', s.labels, s.count]));
+    family('http_request_duration_seconds', 'histogram', 'Time from receiving the request to responding',
+      series.flatMap((s) => {
+        let cumulative = 0;
+        return [
+          ...DURATION_BUCKETS.map((le, i) => ['_bucket', { ...s.labels, le: String(le) }, cumulative += s.buckets[i]]),
+          ['_bucket', { ...s.labels, le: '+Inf' }, s.count],
+          ['_sum', s.labels, s.sum],
+          ['_count', s.labels, s.count]
+        ];
+      }));
+
+    family('process_cpu_user_seconds_total', 'counter', 'User CPU time spent', [['', {}, seconds(sample.cpu_user_ms)]]);
+    family('process_cpu_system_seconds_total', 'counter', 'System CPU time spent', [['', {}, seconds(sample.cpu_system_ms)]]);
+    gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch', Math.round((Date.now() - sample.uptime_ms) / 1000));
+    gauge('process_resident_memory_bytes', 'Resident set size', sample.rss_bytes);
+    gauge('process_heap_used_bytes', 'JavaScript heap in use', sample.heap_used_bytes);
+    gauge('process_heap_total_bytes', 'JavaScript heap allocated', sample.heap_total_bytes);
+
+    const lag = sample.event_loop_lag_ms;
+    if (lag) {
+      gauge('process_event_loop_lag_mean_seconds', 'Mean event loop lag over the last second', seconds(lag.mean));
+      gauge('process_event_loop_lag_p99_seconds', 'p99 event loop lag over the last second', seconds(lag.p99));
+      gauge('process_event_loop_lag_max_seconds', 'Maximum event loop lag over the last second', seconds(lag.max));
+    }
+    gauge('process_active_handles', 'Active handles and requests keeping the event loop alive', sample.active_handles);
+
+    if (gc) {
+      const kinds = Object.entries(gc);
+      family('process_gc_total', 'counter', 'Garbage collections since the first scrape, by kind',
+        kinds.map(([kind, totals]) => ['', { kind }, totals.count]));
+      family('process_gc_duration_seconds_total', 'counter', 'Time spent in garbage collection since the first scrape, by kind',
+        kinds.map(([kind, totals]) => ['', { kind }, totals.seconds]));
+    }
+
+    return families;
+  }
+
+  return { observer, collect, render: () => render(collect()), contentType: CONTENT_TYPE };
+}
+
+// Text exposition of metric families, those of the same name (from several
+// processes) merged under one HELP/TYPE header. Empty families are left out.
+function render(families) {
+  const merged = new Map();
+  for (const family of families) {
+    const existing = merged.get(family.name);
+    if (existing) {
+      existing.samples.push(...family.samples);
+    } else {
+      merged.set(family.name, { ...family, samples: [...family.samples] });
+    }
+  }
+
+  const lines = [];
+  for (const { name, type, help, samples } of merged.values()) {
+    if (samples.length === 0) continue;
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [sampleName, sampleLabels, value] of samples) {
+      lines.push(`${sampleName}${formatLabels(sampleLabels)} ${value}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+module.exports = { createPrometheus, render, CONTENT_TYPE };
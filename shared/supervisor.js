@@ -0,0 +1,669 @@
+// ============================================
+// Cluster Supervisor (primary + workers)
+// ============================================
+// Worker lifecycle and stats for both cluster primaries (bun/cluster.js,
+// nodejs/cluster.js). The primaries only know how to start one worker
+// process; everything else lives here so restart cost and behaviour are the
+// same on both runtimes:
+//
+//   - restarts react to the worker's exit, with exponential backoff
+//     (RESTART_BACKOFF_MS doubling up to RESTART_BACKOFF_MAX_MS)
+//   - a slot that crashes more than CRASH_LOOP_LIMIT times within
+//     CRASH_LOOP_WINDOW_MS is given up on instead of burning CPU
+//   - SIGHUP: rolling restart, one worker at a time; the old worker is only
+//     stopped once its replacement reported ready
+//   - SIGTERM/SIGINT: graceful drain - workers stop accepting connections
+//     and finish in-flight requests (DRAIN_TIMEOUT_MS), then the primary exits
+//   - POST /workers: drain every worker and start a new set of the requested
+//     size, so the load tester can sweep worker counts without restarting
+//     the container
+//
+// Aggregated stats are served on a separate admin port (ADMIN_PORT, default
+// 9090) so the load tester can ask how the cluster is doing without going
+// through the benchmarked app port:
+//
+//   GET /health  - { status, workers_alive, workers_total }
+//   GET /stats   - primary info plus per-worker health, uptime, restarts,
+//                  RSS/heap and request counters
+//   GET /metrics - { runtime, captured_at, processes }: the process metrics
+//                  (shared/process-metrics.js) of the primary and every
+//                  worker that answered, each with its `role`
+//   GET /prometheus - Prometheus text format (shared/prometheus.js) of the
+//                  primary and every worker that answered, labelled with
+//                  `role` and `worker_id`, plus worker counts and restarts
+//   POST /workers - body { count }; responds once the new workers are ready
+//                   with { workers_total, workers_ready, ready_ms }
+//
+// Primary and workers talk over the IPC channel the workers already have
+// (process.send):
+//
+//   worker -> primary   { channel: 'cluster-control', type: 'ready', pid }
+//   primary -> worker   { channel: 'cluster-stats', id, metrics?, prometheus? }
+//   worker -> primary   { channel: 'cluster-stats', id, stats }
+//
+// `metrics: true` asks for the worker's process metrics too (stats.metrics)
+// and `prometheus: true` for its Prometheus metric families
+// (stats.prometheus), so plain stats requests stay small and do not start
+// the worker's event loop lag probe.
+//
+// Workers that do not answer a stats request within STATS_TIMEOUT_MS are
+// reported as unresponsive rather than failing the whole snapshot.
+
+const http = require('http');
+const { createProcessMetrics } = require('./process-metrics');
+const { createPrometheus, render, CONTENT_TYPE } = require('./prometheus');
+
+const STATS_CHANNEL = 'cluster-stats';
+const CONTROL_CHANNEL = 'cluster-control';
+const STATS_TIMEOUT_MS = 1000;
+const MAX_WORKERS = 256;
+
+function envMs(name, fallback) {
+  return parseInt(process.env[name]) || fallback;
+}
+
+const RESTART_BACKOFF_MS = envMs('RESTART_BACKOFF_MS', 100);
+const RESTART_BACKOFF_MAX_MS = envMs('RESTART_BACKOFF_MAX_MS', 30000);
+const CRASH_LOOP_LIMIT = envMs('CRASH_LOOP_LIMIT', 5);
+const CRASH_LOOP_WINDOW_MS = envMs('CRASH_LOOP_WINDOW_MS', 60000);
+const READY_TIMEOUT_MS = envMs('READY_TIMEOUT_MS', 30000);
+const DRAIN_TIMEOUT_MS = envMs('DRAIN_TIMEOUT_MS', 10000);
+
+// ============================================
+// Primary Side
+// ============================================
+// options.runtime         - 'bun' | 'node'
+// options.workersTotal    - configured worker count
+// options.spawn(workerId, workersTotal)
+//                         - starts one worker process and returns
+//                           { pid, send(message), kill(signal),
+//                             exited: Promise<{ code, signal }> }
+function createSupervisor(options) {
+  const startedAt = Date.now();
+  const slots = new Map(); // WORKER_ID -> slot
+  const records = new Map(); // PID -> live worker record
+  const pending = new Map(); // stats request id -> resolve
+  let nextRequestId = 1;
+  let workersTotal = options.workersTotal;
+  let retiredRestarts = 0; // restarts of slots dropped by resize()
+  let reloading = false;
+  let shuttingDown = false;
+  let allReadyLogged = false;
+  let adminServer = null;
+  const processMetrics = createProcessMetrics();
+  const prometheus = createPrometheus(processMetrics, { runtime: options.runtime, role: 'primary' });
+
+  function createSlots(count) {
+    slots.clear();
+    for (let i = 0; i < count; i++) {
+      slots.set(i, {
+        workerId: i,
+        current: null, // worker record serving this slot
+        replacement: null, // its successor while a rolling restart waits for it
+        state: 'starting', // starting | running | restarting | failed | stopped
+        restarts: 0,
+        reloads: 0,
+        consecutiveCrashes: 0,
+        crashTimes: [],
+        lastExit: null,
+        restartTimer: null
+      });
+    }
+  }
+
+  createSlots(workersTotal);
+
+  function log(message) {
+    console.log(`[CLUSTER] ${message}`);
+  }
+
+  // Start a worker process for a slot. The record becomes the slot's current
+  // worker immediately, except during a rolling restart, where it takes over
+  // once it reports ready.
+  function startWorker(slot, { replacing = false } = {}) {
+    const handle = options.spawn(slot.workerId, workersTotal);
+    const record = {
+      slot,
+      handle,
+      pid: handle.pid,
+      startedAt: Date.now(),
+      ready: false,
+      alive: true,
+      onReady: null
+    };
+
+    records.set(record.pid, record);
+    if (!replacing) {
+      slot.current = record;
+      slot.state = 'running';
+    }
+
+    handle.exited.then(({ code, signal }) => onWorkerExit(record, code, signal));
+    log(`Spawned worker ${slot.workerId} (PID: ${record.pid})`);
+    return record;
+  }
+
+  function onWorkerExit(record, code, signal) {
+    record.alive = false;
+    records.delete(record.pid);
+    if (record.onReady) record.onReady(false);
+
+    const { slot } = record;
+    // Replaced (rolling restart) or never took over: nothing to restart
+    if (slot.current !== record) return;
+
+    slot.lastExit = { code: code ?? null, signal: signal || null, at: new Date().toISOString() };
+    if (shuttingDown) {
+      slot.state = 'stopped';
+      return;
+    }
+
+    // The replacement a rolling restart is starting takes over instead; a
+    // crash restart now would start a second successor
+    if (slot.replacement) {
+      log(`Worker ${slot.workerId} (PID: ${record.pid}) died (${signal || code}) while being replaced`);
+      return;
+    }
+
+    // Backoff grows while the worker keeps dying young
+    const now = Date.now();
+    const uptime = now - record.startedAt;
+    slot.consecutiveCrashes = uptime < CRASH_LOOP_WINDOW_MS ? slot.consecutiveCrashes + 1 : 1;
+    slot.crashTimes = slot.crashTimes.filter(t => now - t < CRASH_LOOP_WINDOW_MS).concat(now);
+
+    log(`Worker ${slot.workerId} (PID: ${record.pid}) died (${signal || code})`);
+
+    if (slot.crashTimes.length > CRASH_LOOP_LIMIT) {
+      slot.state = 'failed';
+      log(`Worker ${slot.workerId} crashed ${slot.crashTimes.length} times in ${CRASH_LOOP_WINDOW_MS}ms - not restarting (crash loop)`);
+      if ([...slots.values()].every(s => s.state === 'failed')) {
+        log('All workers failed - exiting');
+        process.exit(1);
+      }
+      return;
+    }
+
+    const delay = Math.min(RESTART_BACKOFF_MS * 2 ** (slot.consecutiveCrashes - 1), RESTART_BACKOFF_MAX_MS);
+    slot.state = 'restarting';
+    log(`Restarting worker ${slot.workerId} in ${delay}ms...`);
+
+    slot.restartTimer = setTimeout(() => {
+      slot.restartTimer = null;
+      if (shuttingDown) return;
+      slot.restarts++;
+      startWorker(slot);
+    }, delay);
+  }
+
+  function onWorkerReady(pid) {
+    const record = records.get(pid);
+    if (!record) return;
+
+    record.ready = true;
+    if (record.onReady) record.onReady(true);
+
+    if (!allReadyLogged && [...slots.values()].every(s => s.current && s.current.ready)) {
+      allReadyLogged = true;
+      log(`All ${workersTotal} workers ready in ${Date.now() - startedAt}ms`);
+    }
+  }
+
+  // Resolves true once the worker reports ready, false if it exits first or
+  // does not become ready within READY_TIMEOUT_MS
+  function waitReady(record) {
+    if (record.ready) return Promise.resolve(true);
+    if (!record.alive) return Promise.resolve(false);
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => finish(false), READY_TIMEOUT_MS);
+      function finish(ready) {
+        clearTimeout(timer);
+        record.onReady = null;
+        resolve(ready);
+      }
+      record.onReady = finish;
+    });
+  }
+
+  // SIGTERM the worker (it drains), SIGKILL if it outlives the drain timeout
+  async function stopWorker(record) {
+    if (!record.alive) return;
+    record.handle.kill('SIGTERM');
+
+    const timeout = new Promise(resolve => setTimeout(resolve, DRAIN_TIMEOUT_MS + 1000, 'timeout'));
+    if (await Promise.race([record.handle.exited, timeout]) === 'timeout') {
+      log(`Worker ${record.slot.workerId} (PID: ${record.pid}) did not drain in time - killing`);
+      record.handle.kill('SIGKILL');
+      await record.handle.exited;
+    }
+  }
+
+  async function rollingRestart() {
+    if (reloading || shuttingDown) return;
+    reloading = true;
+    log('SIGHUP received - rolling restart');
+
+    for (const slot of slots.values()) {
+      const old = slot.current;
+      if (slot.state !== 'running' || !old) continue;
+
+      const next = startWorker(slot, { replacing: true });
+      slot.replacement = next;
+      const ready = await waitReady(next);
+      slot.replacement = null;
+
+      if (!ready) {
+        log(`Worker ${slot.workerId} replacement (PID: ${next.pid}) did not become ready - rolling restart aborted`);
+        if (next.alive) next.handle.kill('SIGKILL');
+        // The old worker died meanwhile: restart the slot as after a crash
+        if (!old.alive && !shuttingDown) {
+          slot.restarts++;
+          startWorker(slot);
+        }
+        break;
+      }
+
+      if (shuttingDown) {
+        next.handle.kill('SIGTERM');
+        break;
+      }
+
+      slot.current = next;
+      slot.reloads++;
+      await stopWorker(old);
+      log(`Worker ${slot.workerId} reloaded (PID: ${old.pid} -> ${next.pid})`);
+    }
+
+    reloading = false;
+    log('Rolling restart complete');
+  }
+
+  // Replace the whole worker set with `count` fresh workers. The old set is
+  // drained first so it cannot serve any of the next measurement's requests.
+  async function resize(count) {
+    if (reloading || shuttingDown) return null;
+    reloading = true;
+    log(`Resizing cluster: ${workersTotal} -> ${count} workers`);
+
+    const live = [];
+    for (const slot of slots.values()) {
+      clearTimeout(slot.restartTimer);
+      // Detach first so the exit is not treated as a crash
+      if (slot.current && slot.current.alive) live.push(slot.current);
+      slot.current = null;
+    }
+    await Promise.all(live.map(stopWorker));
+
+    const resizeStart = Date.now();
+    for (const slot of slots.values()) retiredRestarts += slot.restarts;
+    workersTotal = count;
+    createSlots(count);
+    const started = [...slots.values()].map(slot => startWorker(slot));
+    const ready = await Promise.all(started.map(waitReady));
+
+    reloading = false;
+    const result = {
+      workers_total: count,
+      workers_ready: ready.filter(Boolean).length,
+      ready_ms: Date.now() - resizeStart
+    };
+    log(`Cluster resized: ${result.workers_ready}/${count} workers ready in ${result.ready_ms}ms`);
+    return result;
+  }
+
+  async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+
+    const live = [];
+    for (const slot of slots.values()) {
+      clearTimeout(slot.restartTimer);
+      if (slot.current && slot.current.alive) live.push(slot.current);
+      else slot.state = 'stopped';
+    }
+
+    log(`${signal} received - draining ${live.length} workers...`);
+    const drainStart = Date.now();
+    await Promise.all(live.map(stopWorker));
+    log(`All workers stopped in ${Date.now() - drainStart}ms`);
+
+    if (adminServer) adminServer.close();
+    process.exit(0);
+  }
+
+  // Spawn all workers and take over the lifecycle signals
+  function start() {
+    for (const slot of slots.values()) startWorker(slot);
+
+    process.on('SIGHUP', () => rollingRestart());
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+  }
+
+  // Send to every live worker (e.g. shared store updates)
+  function broadcast(message) {
+    for (const slot of slots.values()) {
+      const record = slot.current;
+      if (!record || !record.alive) continue;
+      try {
+        record.handle.send(message);
+      } catch (e) {
+        // Channel closed between exit and restart
+      }
+    }
+  }
+
+  // IPC messages from workers; returns false for other channels
+  function handleMessage(message) {
+    if (!message) return false;
+
+    if (message.channel === CONTROL_CHANNEL) {
+      if (message.type === 'ready') onWorkerReady(message.pid);
+      return true;
+    }
+
+    if (message.channel !== STATS_CHANNEL) return false;
+
+    const resolve = pending.get(message.id);
+    if (resolve) {
+      pending.delete(message.id);
+      resolve(message.stats);
+    }
+    return true;
+  }
+
+  function requestStats(record, request = {}) {
+    const id = nextRequestId++;
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        resolve(null);
+      }, STATS_TIMEOUT_MS);
+
+      pending.set(id, (stats) => {
+        clearTimeout(timer);
+        resolve(stats);
+      });
+
+      try {
+        record.handle.send({ channel: STATS_CHANNEL, id, ...request });
+      } catch (e) {
+        // Channel closed between exit and restart
+        pending.delete(id);
+        clearTimeout(timer);
+        resolve(null);
+      }
+    });
+  }
+
+  async function snapshot() {
+    const workers = await Promise.all([...slots.values()].map(async (slot) => {
+      const record = slot.current;
+      const alive = slot.state === 'running' && record && record.alive;
+      const stats = alive ? await requestStats(record) : null;
+
+      let health = slot.state;
+      if (alive) health = stats ? 'healthy' : 'unresponsive';
+
+      return {
+        worker_id: slot.workerId,
+        pid: record ? record.pid : null,
+        health,
+        uptime_ms: alive ? Date.now() - record.startedAt : 0,
+        restarts: slot.restarts,
+        reloads: slot.reloads,
+        last_exit: slot.lastExit,
+        rss_bytes: stats ? stats.rss_bytes : null,
+        heap_used_bytes: stats ? stats.heap_used_bytes : null,
+        requests: stats ? stats.requests : null
+      };
+    }));
+
+    const responding = workers.filter(w => w.requests);
+
+    return {
+      runtime: options.runtime,
+      primary_pid: process.pid,
+      primary_uptime_ms: Date.now() - startedAt,
+      primary_rss_bytes: process.memoryUsage().rss,
+      workers_total: workersTotal,
+      workers_alive: workers.filter(w => w.uptime_ms > 0).length,
+      workers_healthy: workers.filter(w => w.health === 'healthy').length,
+      restarts_total: workers.reduce((sum, w) => sum + w.restarts, retiredRestarts),
+      requests_total: responding.reduce((sum, w) => sum + w.requests.total, 0),
+      rss_total_bytes: responding.reduce((sum, w) => sum + w.rss_bytes, 0),
+      captured_at: new Date().toISOString(),
+      workers
+    };
+  }
+
+  function liveWorkers() {
+    return [...slots.values()]
+      .filter(slot => slot.state === 'running' && slot.current && slot.current.alive)
+      .map(slot => slot.current);
+  }
+
+  // Process metrics of the whole cluster, the primary first. Workers that
+  // do not answer in time are left out.
+  async function metrics() {
+    const stats = await Promise.all(liveWorkers().map(record => requestStats(record, { metrics: true })));
+
+    return {
+      runtime: options.runtime,
+      captured_at: new Date().toISOString(),
+      processes: [
+        { role: 'primary', ...processMetrics.sample() },
+        ...stats.filter(s => s && s.metrics).map(s => ({ role: 'worker', ...s.metrics }))
+      ]
+    };
+  }
+
+  // Prometheus text format of the whole cluster: the primary's and the
+  // workers' metric families merged, and the slots' state and restarts
+  async function prometheusText() {
+    const stats = await Promise.all(liveWorkers().map(record => requestStats(record, { prometheus: true })));
+    const states = {};
+    for (const slot of slots.values()) states[slot.state] = (states[slot.state] || 0) + 1;
+
+    return render([
+      ...prometheus.collect(),
+      ...stats.flatMap(s => (s && s.prometheus) || []),
+      {
+        name: 'cluster_workers',
+        type: 'gauge',
+        help: 'Worker slots by state',
+        samples: Object.entries(states).map(([state, count]) => ['cluster_workers', { runtime: options.runtime, state }, count])
+      },
+      {
+        name: 'cluster_worker_restarts_total',
+        type: 'counter',
+        help: 'Restarts of each worker slot since it was created',
+        samples: [...slots.values()].map(slot => ['cluster_worker_restarts_total', { runtime: options.runtime, worker_id: slot.workerId }, slot.restarts])
+      }
+    ]);
+  }
+
+  async function handleAdmin(req, res) {
+    let status = 200;
+    let body;
+
+    if (req.method === 'GET' && req.url === '/prometheus') {
+      const text = await prometheusText();
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPE, 'Content-Length': Buffer.byteLength(text) });
+      res.end(text);
+      return;
+    }
+
+    if (req.method === 'GET' && req.url === '/stats') {
+      body = await snapshot();
+    } else if (req.method === 'GET' && req.url === '/metrics') {
+      body = await metrics();
+    } else if (req.method === 'GET' && req.url === '/health') {
+      const alive = [...slots.values()].filter(s => s.state === 'running').length;
+      body = {
+        status: alive > 0 ? 'ok' : 'down',
+        workers_alive: alive,
+        workers_total: workersTotal
+      };
+    } else if (req.method === 'POST' && req.url === '/workers') {
+      const count = parseInt((await readJson(req)).count);
+      if (!(count >= 1 && count <= MAX_WORKERS)) {
+        status = 400;
+        body = { error: `count must be between 1 and ${MAX_WORKERS}` };
+      } else {
+        body = await resize(count);
+        if (!body) {
+          status = 409;
+          body = { error: 'Rolling restart or shutdown in progress' };
+        }
+      }
+    } else {
+      status = 404;
+      body = { error: 'Not found' };
+    }
+
+    writeJson(res, status, body);
+  }
+
+  // Admin HTTP server (node:http works in both runtimes' primaries). A
+  // failing request is answered with a 500; it must not reach the primary
+  // as an unhandled rejection.
+  function listen(port = process.env.ADMIN_PORT || 9090) {
+    const server = http.createServer((req, res) => {
+      handleAdmin(req, res).catch((error) => {
+        console.error(`[CLUSTER] Admin ${req.method} ${req.url} failed: ${error.message}`);
+        if (res.headersSent) {
+          res.destroy();
+        } else {
+          writeJson(res, 500, { error: 'Internal server error' });
+        }
+      });
+    });
+
+    // Stats are optional - never take the cluster down over the admin port
+    server.on('error', (error) => {
+      console.error(`[CLUSTER] Supervisor admin endpoint unavailable: ${error.message}`);
+    });
+    server.listen(port, () => {
+      log(`Supervisor admin endpoint on port ${port} (/stats, /metrics, /prometheus, /health, /workers)`);
+    });
+    adminServer = server;
+    return server;
+  }
+
+  return { start, broadcast, handleMessage, snapshot, listen };
+}
+
+function writeJson(res, status, body) {
+  const json = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(json)
+  });
+  res.end(json);
+}
+
+// Admin request body; malformed JSON reads as {}
+function readJson(req) {
+  return new Promise((resolve) => {
+    let data = '';
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(data) || {});
+      } catch (e) {
+        resolve({});
+      }
+    });
+  });
+}
+
+// ============================================
+// Worker Side
+// ============================================
+// Wraps the route handlers with request counters and answers the primary's
+// stats requests, with the worker's process metrics (processMetrics, see
+// shared/process-metrics.js) and, when asked, its Prometheus metric families
+// (prometheus, see shared/prometheus.js). Only used in clustered mode, where
+// an IPC channel exists.
+function createWorkerStats(processMetrics, prometheus) {
+  const requests = { total: 0, by_route: {} };
+
+  function countRoutes(routes) {
+    return routes.map((route) => {
+      const key = `${route.method} ${route.path}`;
+      requests.by_route[key] = 0;
+
+      return {
+        ...route,
+        handle(params, body) {
+          requests.total++;
+          requests.by_route[key]++;
+          return route.handle(params, body);
+        }
+      };
+    });
+  }
+
+  function reportToPrimary() {
+    if (typeof process.send !== 'function') return;
+
+    process.on('message', (message) => {
+      if (!message || message.channel !== STATS_CHANNEL) return;
+
+      const memory = process.memoryUsage();
+      process.send({
+        channel: STATS_CHANNEL,
+        id: message.id,
+        stats: {
+          rss_bytes: memory.rss,
+          heap_used_bytes: memory.heapUsed,
+          requests,
+          metrics: message.metrics && processMetrics ? processMetrics.sample() : undefined,
+          prometheus: message.prometheus && prometheus ? prometheus.collect() : undefined
+        }
+      });
+    });
+  }
+
+  return { countRoutes, reportToPrimary };
+}
+
+// Tell the primary this worker is listening (gates rolling restarts)
+function notifyReady() {
+  if (typeof process.send !== 'function') return;
+  process.send({ channel: CONTROL_CHANNEL, type: 'ready', pid: process.pid });
+}
+
+// On SIGTERM/SIGINT stop accepting connections, let in-flight requests
+// finish and exit. `server` is whatever the server implementation's listen()
+// returned: a Bun.serve server (stop()) or a node:http server (close(), also
+// on Bun). SIGHUP is ignored - reloads are the primary's job, and a terminal
+// hangup reaches the whole process group.
+function drainOnSignal(server) {
+  let draining = false;
+
+  process.on('SIGHUP', () => {});
+  process.on('SIGINT', drain);
+  process.on('SIGTERM', drain);
+
+  function drain() {
+    if (draining) return;
+    draining = true;
+    console.log(`[CLUSTER] Worker ${process.env.WORKER_ID} draining...`);
+    setTimeout(() => process.exit(0), DRAIN_TIMEOUT_MS).unref();
+
+    let closed;
+    if (typeof server.stop === 'function') {
+      closed = Promise.resolve(server.stop());
+    } else {
+      closed = new Promise(resolve => server.close(() => resolve()));
+      // Idle keep-alive sockets would otherwise hold close() open
+      if (typeof server.closeIdleConnections === 'function') server.closeIdleConnections();
+    }
+
+    closed.then(() => process.exit(0), () => process.exit(0));
+  }
+}
+
+module.exports = { createSupervisor, createWorkerStats, notifyReady, drainOnSignal };
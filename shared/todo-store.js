@@ -0,0 +1,306 @@
+// ============================================
+// Todo Storage Backends
+// ============================================
+// The CRUD handlers in shared/core.js talk to a store instead of a raw array,
+// so the same REST semantics can be benchmarked against different storage:
+//
+//   memory - plain array (default)
+//   sqlite - embedded database file via the runtime's own driver
+//            (bun:sqlite on Bun, node:sqlite on Node.js)
+//
+// Cluster workers must behave like one logical service, so each store also
+// reports where its state lives (store.backend, shown in /api/health):
+//
+//   process-memory - array in this process (single process, or
+//                    CLUSTER_STATE=local for per-worker arrays)
+//   primary-ipc    - memory store owned by the cluster primary; workers
+//                    forward every operation over IPC (clustered default)
+//   sqlite-file    - one database file shared by all workers
+//
+// Store interface: list(), get(id), create(title), toggle(id), remove(id),
+// count(). Methods may return promises (primary-ipc), so callers always
+// await them. Lookups resolve to null when the todo does not exist;
+// remove() resolves to true/false.
+
+const path = require('path');
+const fs = require('fs');
+
+const IPC_CHANNEL = 'todo-store';
+
+function createTodoStore(kind, runtime) {
+  if (kind === 'memory') {
+    return runtime.isClustered && usesPrimaryStore() ? createIpcStore() : createMemoryStore();
+  }
+  if (kind === 'sqlite') return createSqliteStore(runtime);
+  throw new Error(`Unknown STORAGE "${kind}" (expected: memory, sqlite)`);
+}
+
+// Whether clustered workers share the primary's memory store. Checked by
+// both sides: workers to pick the IPC store, the primary to host it.
+function usesPrimaryStore() {
+  const storage = process.env.STORAGE || 'memory';
+  const clusterState = process.env.CLUSTER_STATE || 'ipc';
+  if (clusterState !== 'ipc' && clusterState !== 'local') {
+    throw new Error(`Unknown CLUSTER_STATE "${clusterState}" (expected: ipc, local)`);
+  }
+  return storage === 'memory' && clusterState === 'ipc';
+}
+
+// ============================================
+// In-Memory Store (No Database)
+// ============================================
+function createMemoryStore() {
+  let todos = [];
+  let nextId = 1;
+
+  return {
+    kind: 'memory',
+    backend: 'process-memory',
+    location: null,
+
+    list() {
+      return todos;
+    },
+
+    get(id) {
+      return todos.find(t => t.id === id) || null;
+    },
+
+    create(title) {
+      const todo = {
+        id: nextId++,
+        title,
+        completed: false,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      };
+      todos.unshift(todo);
+      return todo;
+    },
+
+    toggle(id) {
+      const todoIndex = todos.findIndex(t => t.id === id);
+      if (todoIndex === -1) return null;
+
+      todos[todoIndex] = {
+        ...todos[todoIndex],
+        completed: !todos[todoIndex].completed,
+        updated_at: new Date().toISOString()
+      };
+      return todos[todoIndex];
+    },
+
+    remove(id) {
+      const todoIndex = todos.findIndex(t => t.id === id);
+      if (todoIndex === -1) return false;
+
+      todos.splice(todoIndex, 1);
+      return true;
+    },
+
+    count() {
+      return todos.length;
+    }
+  };
+}
+
+// ============================================
+// SQLite Store
+// ============================================
+// runtime.openSqlite(file) returns a bun:sqlite Database or node:sqlite
+// DatabaseSync. Only the API both share is used here: exec(), and prepare()
+// with all()/get(). Writes use RETURNING so results never depend on the
+// drivers' differing run() return values.
+function createSqliteStore(runtime) {
+  const file = process.env.SQLITE_PATH || path.join(runtime.appDir, 'data', 'todos.db');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const db = runtime.openSqlite(file);
+
+  // Cluster workers share the file: wait on locks instead of failing
+  db.exec('PRAGMA busy_timeout = 5000');
+  db.exec('PRAGMA journal_mode = WAL');
+  db.exec('PRAGMA synchronous = NORMAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS todos (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      completed INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )
+  `);
+
+  const statements = {
+    list: db.prepare('SELECT * FROM todos ORDER BY id DESC'),
+    get: db.prepare('SELECT * FROM todos WHERE id = ?'),
+    create: db.prepare('INSERT INTO todos (title, completed, created_at, updated_at) VALUES (?, 0, ?, ?) RETURNING *'),
+    toggle: db.prepare('UPDATE todos SET completed = 1 - completed, updated_at = ? WHERE id = ? RETURNING *'),
+    remove: db.prepare('DELETE FROM todos WHERE id = ? RETURNING id'),
+    count: db.prepare('SELECT COUNT(*) AS count FROM todos')
+  };
+
+  // SQLite has no boolean type - keep the JSON shape of the memory store
+  function toTodo(row) {
+    if (!row) return null;
+    return { ...row, completed: row.completed === 1 };
+  }
+
+  return {
+    kind: 'sqlite',
+    backend: 'sqlite-file',
+    location: file,
+
+    list() {
+      return statements.list.all().map(toTodo);
+    },
+
+    get(id) {
+      return toTodo(statements.get.get(id));
+    },
+
+    create(title) {
+      const now = new Date().toISOString();
+      return toTodo(statements.create.get(title, now, now));
+    },
+
+    toggle(id) {
+      return toTodo(statements.toggle.get(new Date().toISOString(), id));
+    },
+
+    remove(id) {
+      return Boolean(statements.remove.get(id));
+    },
+
+    count() {
+      return statements.count.get().count;
+    }
+  };
+}
+
+// ============================================
+// Primary-Owned Store (cluster IPC)
+// ============================================
+// Worker side: every operation is a request message to the cluster primary,
+// which applies it to the single memory store (see createStoreHost).
+// process.send is the IPC channel on both runtimes (cluster.fork on Node.js,
+// Bun.spawn({ ipc }) on Bun).
+//
+//   worker -> primary   { channel, id, op, args }
+//   primary -> worker   { channel, id, result } | { channel, id, error }
+//   primary -> workers  { channel, count }   (broadcast after each write)
+//
+// The broadcast count keeps /api/health free of an IPC round trip. A request
+// the primary does not answer within STORE_TIMEOUT_MS (e.g. while it
+// restarts) rejects, and so does every pending one once the IPC channel
+// closes, so a todo request fails fast instead of hanging.
+const STORE_TIMEOUT_MS = parseInt(process.env.STORE_TIMEOUT_MS) || 5000;
+
+function createIpcStore() {
+  if (typeof process.send !== 'function') {
+    throw new Error('CLUSTER_STATE=ipc requires an IPC channel to the cluster primary');
+  }
+
+  const pending = new Map();
+  let nextRequestId = 1;
+  let todoCount = 0;
+
+  process.on('message', (message) => {
+    if (!message || message.channel !== IPC_CHANNEL) return;
+
+    if (message.id === undefined) {
+      todoCount = message.count;
+      return;
+    }
+
+    const request = pending.get(message.id);
+    if (!request) return;
+    pending.delete(message.id);
+    clearTimeout(request.timer);
+
+    if (message.error) {
+      request.reject(new Error(message.error));
+    } else {
+      request.resolve(message.result);
+    }
+  });
+
+  process.on('disconnect', () => {
+    for (const request of pending.values()) {
+      clearTimeout(request.timer);
+      request.reject(new Error('Cluster primary disconnected'));
+    }
+    pending.clear();
+  });
+
+  function call(op, ...args) {
+    const id = nextRequestId++;
+    return new Promise((resolve, reject) => {
+      if (process.connected === false) {
+        reject(new Error('Cluster primary disconnected'));
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(new Error(`Store operation "${op}" timed out after ${STORE_TIMEOUT_MS}ms`));
+      }, STORE_TIMEOUT_MS);
+      pending.set(id, { resolve, reject, timer });
+
+      try {
+        process.send({ channel: IPC_CHANNEL, id, op, args });
+      } catch (error) {
+        pending.delete(id);
+        clearTimeout(timer);
+        reject(error);
+      }
+    });
+  }
+
+  // Workers can start (or restart) after todos were created; the count
+  // broadcast after the next write catches up if this fails
+  call('count').then((count) => { todoCount = count; }, () => {});
+
+  return {
+    kind: 'memory',
+    backend: 'primary-ipc',
+    location: null,
+
+    list: () => call('list'),
+    get: (id) => call('get', id),
+    create: (title) => call('create', title),
+    toggle: (id) => call('toggle', id),
+    remove: (id) => call('remove', id),
+    count: () => todoCount
+  };
+}
+
+// Primary side: applies worker requests to one memory store.
+//   handle(message, reply) - returns false for messages on other channels
+//   broadcast(message)     - sends to every live worker
+function createStoreHost(broadcast) {
+  const store = createMemoryStore();
+  const OPS = new Set(['list', 'get', 'create', 'toggle', 'remove', 'count']);
+  const WRITE_OPS = new Set(['create', 'toggle', 'remove']);
+
+  function handle(message, reply) {
+    if (!message || message.channel !== IPC_CHANNEL) return false;
+
+    const { id, op, args = [] } = message;
+    if (!OPS.has(op)) {
+      reply({ channel: IPC_CHANNEL, id, error: `Unknown store operation "${op}"` });
+      return true;
+    }
+
+    reply({ channel: IPC_CHANNEL, id, result: store[op](...args) });
+
+    if (WRITE_OPS.has(op)) {
+      broadcast({ channel: IPC_CHANNEL, count: store.count() });
+    }
+    return true;
+  }
+
+  return { handle };
+}
+
+module.exports = { createTodoStore, createStoreHost, usesPrimaryStore };